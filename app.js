@@ -1,10 +1,12 @@
 /**
  * Prompt Mixer v3 — static (no build, no backend)
- * - Real-time outputs + real-time summary
- * - "Save" snapshots to history (no Convert)
+ * - Real-time outputs + real-time summary, formatted per output target (Plain / Midjourney / SD / Nano Banana)
+ * - "Save" snapshots to history (no Convert); history keeps past days, pruned by age/size retention
  * - Draggable split bar (persisted)
+ * - Storage: IndexedDB behind a synchronous in-memory cache (localStorage fallback)
  * - Per-category All/Clear
- * - Output actions: Copy / Clear / Undo (custom undo stack)
+ * - Output actions: Copy / Clear / Undo (↶ = this category's steps of the shared history)
+ * - Global undo/redo (Ctrl+Z / Ctrl+Shift+Z) over every library/output change
  *
  * v3.2 behavior fix:
  * - Right textarea is the source of truth.
@@ -15,9 +17,17 @@
  */
 
 const STORAGE_KEY_STATE = "pm_state_v3";
-const STORAGE_KEY_OUTPUTS = "pm_outputs_v3";
+const STORAGE_KEY_OUTPUTS = "pm_outputs_v3"; // older single blob of all outputs (read once, then per-category keys)
+const STORAGE_KEY_CAT = "pm_cat_v1_";
+const STORAGE_KEY_OUT = "pm_out_v1_";
 const STORAGE_KEY_THEME = "pm_theme_v1";
 const STORAGE_KEY_SPLIT = "pm_split_v1";
+const STORAGE_KEY_RETENTION = "pm_retention_v1";
+const STORAGE_KEY_PRESETS = "pm_presets_v1";
+const STORAGE_KEY_TARGET = "pm_target_v1";
+const STORAGE_KEY_UI = "pm_ui_v1";
+const STORAGE_KEY_WORKSPACES = "pm_workspaces_v1";
+const STORAGE_KEY_GENERATOR = "pm_generator_v1";
 
 function todayKey() {
   const d = new Date();
@@ -26,7 +36,9 @@ function todayKey() {
   const dd = String(d.getDate()).padStart(2, "0");
   return `${yyyy}-${mm}-${dd}`;
 }
-function historyKey() { return `pm_history_${todayKey()}`; }
+const HISTORY_PREFIX = "pm_history_";
+const HISTORY_DAY_RE = /^pm_history_(\d{4}-\d{2}-\d{2})(?:@(.+))?$/; // [1] day, [2] workspace (none = default)
+function historyKey(day = todayKey(), ws = workspaceId) { return wsKey(`${HISTORY_PREFIX}${day}`, ws); }
 function nowTime() {
   const d = new Date();
   const hh = String(d.getHours()).padStart(2, "0");
@@ -36,30 +48,318 @@ function nowTime() {
 }
 function safeJsonParse(s, fallback) { try { return JSON.parse(s); } catch { return fallback; } }
 
+// ---------- Storage ----------
+
+/**
+ * Every pm_* key lives in an in-memory cache that the app reads and writes synchronously (storeGet/storeSet).
+ * Writes reach the backend in the background:
+ * - IndexedDB: debounced, only the keys that changed, one transaction per flush
+ * - localStorage: write-through, used where IndexedDB is missing or blocked
+ * The first IndexedDB start moves existing localStorage pm_* keys over once. If IndexedDB can't be opened
+ * after that, the tab is read-only (a write to localStorage would be lost once IndexedDB is back).
+ * Failed writes (quota) keep the data in memory, show a warning and retry with the next flush.
+ */
+const IDB_NAME = "prompt-mixer";
+const IDB_STORE = "kv";
+const STORE_FLUSH_MS = 400;
+const STORAGE_KEY_BACKEND = "pm_backend_v1"; // localStorage only: "idb" once the keys were moved
+const storeCache = new Map();
+const storeDirty = new Set();
+let storeDb = null;
+let storeTimer = null;
+let storeWarned = false;
+let storeReadOnly = false;
+
+function storeGet(key) { return storeCache.has(key) ? storeCache.get(key) : null; }
+function storeKeys() { return [...storeCache.keys()]; }
+function storeSet(key, value) {
+  const v = String(value);
+  if (storeCache.get(key) === v) return;
+  storeCache.set(key, v);
+  storeWrite(key);
+  announce(key);
+}
+function storeRemove(key) {
+  if (!storeCache.has(key)) return;
+  storeCache.delete(key);
+  storeWrite(key);
+  announce(key);
+}
+
+function storeWrite(key) {
+  if (storeReadOnly) return;
+  if (!storeDb) {
+    try {
+      if (storeCache.has(key)) localStorage.setItem(key, storeCache.get(key));
+      else localStorage.removeItem(key);
+      storageOk();
+    } catch (e) {
+      storageFailed(e);
+    }
+    return;
+  }
+  storeDirty.add(key);
+  if (!storeTimer) storeTimer = setTimeout(flushStore, STORE_FLUSH_MS);
+}
+
+function flushStore() {
+  clearTimeout(storeTimer);
+  storeTimer = null;
+  if (!storeDb || !storeDirty.size) return Promise.resolve(true);
+  const keys = [...storeDirty];
+  storeDirty.clear();
+  return new Promise((resolve) => {
+    let tx;
+    try {
+      tx = storeDb.transaction(IDB_STORE, "readwrite");
+      const os = tx.objectStore(IDB_STORE);
+      keys.forEach(k => (storeCache.has(k) ? os.put(storeCache.get(k), k) : os.delete(k)));
+    } catch (e) {
+      keys.forEach(k => storeDirty.add(k));
+      storageFailed(e);
+      return resolve(false);
+    }
+    tx.oncomplete = () => { storageOk(); resolve(true); };
+    tx.onabort = () => {
+      keys.forEach(k => storeDirty.add(k)); // retried with the next change
+      storageFailed(tx.error);
+      resolve(false);
+    };
+  });
+}
+
+// Storage problems get their own banner: it stays up while writes fail, whatever toasts come and go
+function showStorageBanner(message, actionLabel, action) {
+  storageBanner.innerHTML = "";
+  const msg = document.createElement("span");
+  msg.textContent = message;
+  storageBanner.appendChild(msg);
+  if (actionLabel && action) {
+    const b = document.createElement("button");
+    b.className = "btn btnGhost";
+    b.textContent = actionLabel;
+    b.onclick = action;
+    storageBanner.appendChild(b);
+  }
+  storageBanner.classList.remove("hidden");
+}
+
+function storageFailed(e) {
+  if (storeWarned) return;
+  storeWarned = true;
+  const full = e && (e.name === "QuotaExceededError" || /quota/i.test(e.message || ""));
+  showStorageBanner(full
+    ? "Storage is full: recent changes are kept in this tab but not saved. Free space by lowering history retention or deleting old snapshots."
+    : "Could not save changes: " + ((e && e.message) || e), "History", openHistory);
+}
+function storageOk() {
+  if (!storeWarned) return;
+  storeWarned = false;
+  storageBanner.classList.add("hidden");
+}
+
+function idbRequest(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+function idbOpen() {
+  const req = indexedDB.open(IDB_NAME, 1);
+  req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+  return idbRequest(req);
+}
+
+function localPmKeys() {
+  const keys = [];
+  for (let i = 0; i < localStorage.length; i++) {
+    const k = localStorage.key(i);
+    if (k && k.startsWith("pm_") && k !== STORAGE_KEY_BACKEND) keys.push(k);
+  }
+  return keys;
+}
+
+// Fill the cache before anything reads it (init)
+async function openStore() {
+  const moved = localStorage.getItem(STORAGE_KEY_BACKEND) === "idb";
+  try {
+    if (typeof indexedDB === "undefined") throw new Error("IndexedDB is not available");
+    storeDb = await idbOpen();
+    const os = storeDb.transaction(IDB_STORE).objectStore(IDB_STORE);
+    const [keys, values] = await Promise.all([idbRequest(os.getAllKeys()), idbRequest(os.getAll())]);
+    keys.forEach((k, i) => storeCache.set(k, values[i]));
+  } catch (e) {
+    storeDb = null;
+    if (moved) {
+      storeReadOnly = true;
+      showStorageBanner("Saved data in IndexedDB could not be opened: this tab is read-only and nothing you change is saved. Reload to try again.");
+      return;
+    }
+    localPmKeys().forEach(k => storeCache.set(k, localStorage.getItem(k)));
+    return;
+  }
+
+  // one-time move; localStorage copies are removed only after IndexedDB has them
+  if (moved) return;
+  const legacy = localPmKeys().filter(k => !storeCache.has(k));
+  legacy.forEach((k) => { storeCache.set(k, localStorage.getItem(k)); storeDirty.add(k); });
+  if (!(await flushStore())) return;
+  legacy.forEach(k => localStorage.removeItem(k));
+  localStorage.setItem(STORAGE_KEY_BACKEND, "idb");
+}
+
+// Workspaces: each has its own state, outputs, presets and history (theme, split, target and view prefs are shared).
+// The default workspace keeps the original keys; others append "@<id>" (pm_state_v3@ws_1a2b3c4d).
+const DEFAULT_WORKSPACE = "default";
+function getWorkspaces() {
+  const w = safeJsonParse(storeGet(STORAGE_KEY_WORKSPACES) || "null", null) || {};
+  const list = Array.isArray(w.list) && w.list.length ? w.list : [{ id: DEFAULT_WORKSPACE, name: "Default" }];
+  return { active: list.some(x => x.id === w.active) ? w.active : list[0].id, list };
+}
+function setWorkspaces(w) { storeSet(STORAGE_KEY_WORKSPACES, JSON.stringify(w)); }
+let workspaceId = DEFAULT_WORKSPACE; // set from the registry once storage is open (init)
+function wsKey(base, ws = workspaceId) { return ws === DEFAULT_WORKSPACE ? base : `${base}@${ws}`; }
+
 async function loadDefaults() {
   const res = await fetch("./defaults.json");
   if (!res.ok) throw new Error("Failed to load defaults.json");
   return res.json();
 }
+function stateFromDefaults(defaults) {
+  return {
+    version: defaults.version || 1,
+    categories: defaults.categories.map(splitOptionMeta).map(c => ({
+      id: c.id, name: c.name, options: c.options.slice(), selected: [],
+      ...(c.meta ? { meta: JSON.parse(JSON.stringify(c.meta)) } : {}),
+      ...(c.role ? { role: c.role } : {}),
+      ...(c.single ? { single: true } : {}),
+      ...(SEPARATORS[c.separator] ? { separator: c.separator } : {}),
+      ...(c.template ? { template: c.template } : {})
+    })),
+    rules: JSON.parse(JSON.stringify(defaults.rules || []))
+  };
+}
 
-function saveState(state) { localStorage.setItem(STORAGE_KEY_STATE, JSON.stringify(state)); }
-function loadState() { return safeJsonParse(localStorage.getItem(STORAGE_KEY_STATE) || "null", null); }
-function saveOutputs(map) { localStorage.setItem(STORAGE_KEY_OUTPUTS, JSON.stringify(map || {})); }
-function loadOutputs() { return safeJsonParse(localStorage.getItem(STORAGE_KEY_OUTPUTS) || "{}", {}); }
+/**
+ * Stored shape: pm_state_v3 holds the library with `categories` as a list of ids; each category is its own
+ * pm_cat_v1_<id> record and each output its own pm_out_v1_<id> record (plus "@<workspace>"), so an edit
+ * rewrites only the keys that changed (storeSet skips equal values).
+ * `selected` is derived from the output text on load, so it is never written (see "Schema migrations").
+ */
+const RECORD_RE = /^pm_(cat|out)_v1_([^@]+)(?:@(.+))?$/; // [1] family, [2] category id, [3] workspace (none = default)
+function catKey(id, ws = workspaceId) { return wsKey(`${STORAGE_KEY_CAT}${id}`, ws); }
+function outKey(id, ws = workspaceId) { return wsKey(`${STORAGE_KEY_OUT}${id}`, ws); }
+// { [catId]: key } for one record family ("cat" | "out") of a workspace
+function recordKeys(family, ws = workspaceId) {
+  const keys = {};
+  storeKeys().forEach((k) => {
+    const m = RECORD_RE.exec(k);
+    if (m && m[1] === family && (m[3] || DEFAULT_WORKSPACE) === ws) keys[m[2]] = k;
+  });
+  return keys;
+}
 
-// History per day
-function clearOldHistory() {
-  const prefix = "pm_history_";
-  const tk = todayKey();
-  const keys = [];
-  for (let i = 0; i < localStorage.length; i++) keys.push(localStorage.key(i));
-  keys.forEach((k) => { if (k && k.startsWith(prefix) && !k.endsWith(tk)) localStorage.removeItem(k); });
+function saveState(s, ws = workspaceId) {
+  const { categories, ...rest } = s;
+  const ids = categories.map(c => c.id);
+  categories.forEach(({ selected, ...c }) => storeSet(catKey(c.id, ws), JSON.stringify(c)));
+  const prev = safeJsonParse(storeGet(wsKey(STORAGE_KEY_STATE, ws)) || "null", null);
+  storeSet(wsKey(STORAGE_KEY_STATE, ws), JSON.stringify({ ...rest, schema: SCHEMA_VERSION, categories: ids }));
+  if (prev && Array.isArray(prev.categories) && prev.categories.join("\u0001") === ids.join("\u0001")) return;
+  Object.entries(recordKeys("cat", ws)).forEach(([id, k]) => { if (!ids.includes(id)) storeRemove(k); });
+}
+function loadState(ws = workspaceId) {
+  const s = safeJsonParse(storeGet(wsKey(STORAGE_KEY_STATE, ws)) || "null", null);
+  // a blob written before per-category records still has the categories inline
+  if (!s || !Array.isArray(s.categories) || s.categories.some(c => typeof c !== "string")) return s;
+  return { ...s, categories: s.categories.map(id => safeJsonParse(storeGet(catKey(id, ws)) || "null", null)).filter(Boolean) };
+}
+function saveOutputs(map, ws = workspaceId) {
+  const all = map || {};
+  Object.entries(all).forEach(([id, out]) => storeSet(outKey(id, ws), JSON.stringify(out)));
+  Object.entries(recordKeys("out", ws)).forEach(([id, k]) => { if (!(id in all)) storeRemove(k); });
+  storeRemove(wsKey(STORAGE_KEY_OUTPUTS, ws));
+}
+function loadOutputs(ws = workspaceId) {
+  const map = safeJsonParse(storeGet(wsKey(STORAGE_KEY_OUTPUTS, ws)) || "{}", {});
+  Object.entries(recordKeys("out", ws)).forEach(([id, k]) => {
+    const out = safeJsonParse(storeGet(k) || "null", null);
+    if (out) map[id] = out;
+  });
+  return map;
+}
+// presets: [{ id, name, cats: { [catId]: { name, options:[optText], tokens:{ [optText]: written }, custom } } }]
+function savePresets(list) { storeSet(wsKey(STORAGE_KEY_PRESETS), JSON.stringify(list || [])); }
+function loadPresets() { return safeJsonParse(storeGet(wsKey(STORAGE_KEY_PRESETS)) || "[]", []); }
+
+// History per day (one key per local day; older days are kept until retention prunes them)
+function getHistory(day = todayKey()) { return safeJsonParse(storeGet(historyKey(day)) || "[]", []); }
+function setHistory(list, day = todayKey()) {
+  if (!list || !list.length) storeRemove(historyKey(day));
+  else storeSet(historyKey(day), JSON.stringify(list));
+}
+
+// Newest first
+function listHistoryDays(ws = workspaceId) {
+  const days = [];
+  storeKeys().forEach((k) => {
+    const m = HISTORY_DAY_RE.exec(k);
+    if (m && (m[2] || DEFAULT_WORKSPACE) === ws) days.push(m[1]);
+  });
+  return days.sort().reverse();
+}
+
+// Retention: maxDays = keep this many days back (0 = forever), maxKB = total history size cap (0 = no cap)
+const DEFAULT_RETENTION = { maxDays: 30, maxKB: 2048 };
+function getRetention() {
+  const r = safeJsonParse(storeGet(STORAGE_KEY_RETENTION) || "null", null) || {};
+  const n = (v, d) => (Number.isFinite(Number(v)) && Number(v) >= 0 ? Math.floor(Number(v)) : d);
+  return { maxDays: n(r.maxDays, DEFAULT_RETENTION.maxDays), maxKB: n(r.maxKB, DEFAULT_RETENTION.maxKB) };
+}
+function setRetention(r) { storeSet(STORAGE_KEY_RETENTION, JSON.stringify(r)); }
+
+function dayOffset(day, n) {
+  const [y, m, d] = day.split("-").map(Number);
+  const dt = new Date(y, m - 1, d + n);
+  return `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, "0")}-${String(dt.getDate()).padStart(2, "0")}`;
+}
+
+function pruneHistory() {
+  const { maxDays, maxKB } = getRetention();
+  let days = listHistoryDays();
+
+  // 1) age: drop days older than the window (today counts as day 1); starred items stay
+  if (maxDays > 0) {
+    const oldest = dayOffset(todayKey(), -(maxDays - 1));
+    days.filter(d => d < oldest).forEach((d) => {
+      const list = getHistory(d);
+      const kept = list.filter(h => h.starred);
+      if (kept.length < list.length) setHistory(kept, d);
+    });
+    days = listHistoryDays();
+  }
+
+  // 2) size: drop oldest unstarred items first until the total fits
+  if (maxKB > 0) {
+    const limit = maxKB * 1024;
+    const sizeOf = (d) => (storeGet(historyKey(d)) || "").length;
+    let total = days.reduce((sum, d) => sum + sizeOf(d), 0);
+    for (let i = days.length - 1; i >= 0 && total > limit; i--) {
+      const day = days[i];
+      const list = getHistory(day);
+      for (let j = list.length - 1; j >= 0 && total > limit; j--) { // lists are newest-first
+        if (list[j].starred) continue;
+        const before = sizeOf(day);
+        list.splice(j, 1);
+        setHistory(list, day);
+        total -= before - sizeOf(day);
+      }
+    }
+  }
 }
-function getHistory() { return safeJsonParse(localStorage.getItem(historyKey()) || "[]", []); }
-function setHistory(list) { localStorage.setItem(historyKey(), JSON.stringify(list || [])); }
 
-function downloadText(filename, text) {
-  const blob = new Blob([text], { type: "text/plain;charset=utf-8" });
+function downloadText(filename, text, type = "text/plain;charset=utf-8") {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url; a.download = filename;
@@ -77,12 +377,12 @@ function copyToClipboard(text) {
 
 // Theme
 function getTheme() {
-  const t = localStorage.getItem(STORAGE_KEY_THEME);
+  const t = storeGet(STORAGE_KEY_THEME);
   return (t === "light" || t === "dark") ? t : "dark";
 }
 function setTheme(theme) {
   document.documentElement.setAttribute("data-theme", theme);
-  localStorage.setItem(STORAGE_KEY_THEME, theme);
+  storeSet(STORAGE_KEY_THEME, theme);
   const btn = document.getElementById("btnTheme");
   if (btn) btn.textContent = theme === "dark" ? "Light" : "Dark";
 }
@@ -91,19 +391,34 @@ function toggleTheme() { setTheme(getTheme() === "dark" ? "light" : "dark"); }
 // Split
 function setSplitBasis(pct) {
   const n = Math.min(80, Math.max(20, pct));
-  localStorage.setItem(STORAGE_KEY_SPLIT, String(n));
+  storeSet(STORAGE_KEY_SPLIT, String(n));
   document.getElementById("split")?.style.setProperty("--leftBasis", `${n}%`);
 }
 
 let state = null;
-// outputsByCatId: { [catId]: { text, dirty, undo:[], lastValue } }
-let outputsByCatId = loadOutputs();
+// outputsByCatId: { [catId]: { text } }
+let outputsByCatId = {};
 
 const elSplit = document.getElementById("split");
 const elDragbar = document.getElementById("dragbar");
 const elCategories = document.getElementById("categories");
+const optionSearch = document.getElementById("optionSearch");
+const optSelectedOnly = document.getElementById("optSelectedOnly");
+const optFavoritesFirst = document.getElementById("optFavoritesFirst");
 const elOutputs = document.getElementById("outputs");
+const elLint = document.getElementById("lint");
 const elSummary = document.getElementById("summary");
+const elSummaryNegative = document.getElementById("summaryNegative");
+const negativeWrap = document.getElementById("negativeWrap");
+const targetSelect = document.getElementById("targetSelect");
+const targetParams = document.getElementById("targetParams");
+const mjAr = document.getElementById("mjAr");
+const mjStyle = document.getElementById("mjStyle");
+const mjExtra = document.getElementById("mjExtra");
+const budgetLimit = document.getElementById("budgetLimit");
+const summaryMeter = document.getElementById("summaryMeter");
+const negativeMeter = document.getElementById("negativeMeter");
+const budgetBreakdown = document.getElementById("budgetBreakdown");
 
 const btnAddCategory = document.getElementById("btnAddCategory");
 const btnResetDefaults = document.getElementById("btnResetDefaults");
@@ -111,16 +426,49 @@ const btnHistory = document.getElementById("btnHistory");
 const btnTheme = document.getElementById("btnTheme");
 const btnCopySummary = document.getElementById("btnCopySummary");
 const btnSave = document.getElementById("btnSave");
+const btnUndoGlobal = document.getElementById("btnUndo");
+const btnRedoGlobal = document.getElementById("btnRedo");
+
+// Presets panel
+const btnPresets = document.getElementById("btnPresets");
+const presetsPanel = document.getElementById("presetsPanel");
 
 // Bulk modal
 const modalOverlay = document.getElementById("modalOverlay");
 const modalCategoryName = document.getElementById("modalCategoryName");
 const modalLines = document.getElementById("modalLines");
+const modalNegative = document.getElementById("modalNegative");
+const modalSeparator = document.getElementById("modalSeparator");
+const modalTemplate = document.getElementById("modalTemplate");
 const modalClose = document.getElementById("modalClose");
 const modalCancel = document.getElementById("modalCancel");
 const modalSave = document.getElementById("modalSave");
 const modalDeleteCategory = document.getElementById("modalDeleteCategory");
 let modalCatId = null;
+const optionCard = document.getElementById("optionCard");
+const storageBanner = document.getElementById("storageBanner");
+
+// Shuffle modal
+const shuffleOverlay = document.getElementById("shuffleOverlay");
+const shuffleRows = document.getElementById("shuffleRows");
+const shuffleCount = document.getElementById("shuffleCount");
+
+// Rules modal
+const rulesOverlay = document.getElementById("rulesOverlay");
+const ruleModeSelect = document.getElementById("ruleMode");
+const ruleSingles = document.getElementById("ruleSingles");
+const ruleList = document.getElementById("ruleList");
+
+// Workspaces
+const workspaceSelect = document.getElementById("workspaceSelect");
+const workspaceOverlay = document.getElementById("workspaceOverlay");
+const workspaceList = document.getElementById("workspaceList");
+const workspaceSeed = document.getElementById("workspaceSeed");
+
+// Command palette
+const paletteOverlay = document.getElementById("paletteOverlay");
+const paletteInput = document.getElementById("paletteInput");
+const paletteList = document.getElementById("paletteList");
 
 // History modal
 const historyOverlay = document.getElementById("historyOverlay");
@@ -130,6 +478,209 @@ const historyList = document.getElementById("historyList");
 const historyDateHint = document.getElementById("historyDateHint");
 const btnDownloadHistory = document.getElementById("btnDownloadHistory");
 const btnClearHistory = document.getElementById("btnClearHistory");
+const historyDaySelect = document.getElementById("historyDay");
+const historySearch = document.getElementById("historySearch");
+const historyStarred = document.getElementById("historyStarred");
+const historyTagFilter = document.getElementById("historyTagFilter");
+const retentionDays = document.getElementById("retentionDays");
+const retentionKB = document.getElementById("retentionKB");
+let historyDay = null; // day shown in the History modal
+const historyTags = new Set(); // lower-cased tags the History list is filtered by
+let historyEditId = null; // snapshot whose title/tags/note are being edited
+let comparePicks = []; // [{ day, id }] ticked for Compare in the History modal (at most two)
+const btnCompareHistory = document.getElementById("btnCompareHistory");
+const compareOverlay = document.getElementById("compareOverlay");
+const compareList = document.getElementById("compareList");
+
+// Import / export
+const btnExport = document.getElementById("btnExport");
+const btnImport = document.getElementById("btnImport");
+const importFile = document.getElementById("importFile");
+const importOverlay = document.getElementById("importOverlay");
+const importSource = document.getElementById("importSource");
+const importErrors = document.getElementById("importErrors");
+const importLibrary = document.getElementById("importLibrary");
+const importPresets = document.getElementById("importPresets");
+const importHistory = document.getElementById("importHistory");
+const importModeHint = document.getElementById("importModeHint");
+const importDiff = document.getElementById("importDiff");
+const importApply = document.getElementById("importApply");
+
+// Share link
+const shareOverlay = document.getElementById("shareOverlay");
+const shareClose = document.getElementById("shareClose");
+const shareCancel = document.getElementById("shareCancel");
+const shareRows = document.getElementById("shareRows");
+const shareBackup = document.getElementById("shareBackup");
+const shareMissingWrap = document.getElementById("shareMissingWrap");
+const shareAddMissing = document.getElementById("shareAddMissing");
+const shareMissingLabel = document.getElementById("shareMissingLabel");
+const shareApply = document.getElementById("shareApply");
+
+// Send to generator
+const btnSend = document.getElementById("btnSend");
+const sendOverlay = document.getElementById("sendOverlay");
+const sendClose = document.getElementById("sendClose");
+const sendDone = document.getElementById("sendDone");
+const sendKind = document.getElementById("sendKind");
+const sendUrl = document.getElementById("sendUrl");
+const sendParams = document.getElementById("sendParams");
+const sendParamsLabel = document.getElementById("sendParamsLabel");
+const sendHint = document.getElementById("sendHint");
+const sendStatus = document.getElementById("sendStatus");
+const sendStatusText = document.getElementById("sendStatusText");
+const sendFill = document.getElementById("sendFill");
+const sendImages = document.getElementById("sendImages");
+const sendGo = document.getElementById("sendGo");
+const sendCancel = document.getElementById("sendCancel");
+
+// ---------- Option metadata ----------
+
+/**
+ * Options stay plain strings everywhere (tokens, rules, presets, share links); what they mean lives beside them:
+ *   cat.meta = { [optionText]: { description?, aliases?:[keyword], image?, positive? } }   (image: data URL or relative path)
+ * positive: in a negative category, this option stays in the prompt (a quality line, not something to avoid).
+ * defaults.json and imported libraries may instead list an option as { text, description, aliases, image, positive };
+ * splitOptionMeta turns those into the string + meta form.
+ */
+function cleanMeta(m) {
+  const out = {};
+  const description = String(m?.description || "").trim();
+  const aliases = [...new Set((Array.isArray(m?.aliases) ? m.aliases : String(m?.aliases || "").split(","))
+    .map(a => String(a).trim()).filter(Boolean))];
+  const image = String(m?.image || "").trim();
+  if (description) out.description = description;
+  if (aliases.length) out.aliases = aliases;
+  if (image) out.image = image;
+  if (m?.positive === true || /^(?:yes|true)$/i.test(String(m?.positive ?? "").trim())) out.positive = true;
+  return Object.keys(out).length ? out : null;
+}
+
+function splitOptionMeta(c) {
+  if (!(c.options || []).some(o => o && typeof o === "object")) return c;
+  const meta = { ...(c.meta || {}) };
+  const options = c.options.map((o) => {
+    if (typeof o === "string") return o;
+    const m = cleanMeta(o);
+    if (m) meta[o.text] = m;
+    return o.text;
+  });
+  return { ...c, options, ...(Object.keys(meta).length ? { meta } : {}) };
+}
+
+function optionMeta(cat, opt) { return (cat.meta || {})[opt] || null; }
+
+// Search hit on what an option is called or described as, not just its text
+function metaMatch(cat, opt, q) {
+  const m = optionMeta(cat, opt);
+  if (!m || !q) return null;
+  const alias = (m.aliases || []).find(a => a.toLowerCase().includes(q));
+  if (alias) return `≈ ${alias}`;
+  return (m.description || "").toLowerCase().includes(q) ? "≈ description" : null;
+}
+
+// Bulk editor text: one option per line, details on indented "key: value" lines under it
+const META_KEYS = ["description", "aliases", "image", "positive"];
+const META_LINE = /^\s+(description|aliases|image|positive)\s*:\s*(.*)$/i;
+const metaValue = (k, v) => (k === "aliases" ? v.join(", ") : k === "positive" ? "yes" : v);
+
+function optionLines(cat) {
+  return (cat.options || []).map((o) => {
+    const m = optionMeta(cat, o);
+    if (!m) return o;
+    return [o, ...META_KEYS.filter(k => m[k]).map(k => `  ${k}: ${metaValue(k, m[k])}`)].join("\n");
+  }).join("\n");
+}
+
+function parseOptionLines(text) {
+  const options = [];
+  const raw = {};
+  String(text || "").split(/\r?\n/).forEach((line) => {
+    const km = options.length ? line.match(META_LINE) : null;
+    if (km) {
+      const opt = options[options.length - 1];
+      (raw[opt] = raw[opt] || {})[km[1].toLowerCase()] = km[2];
+      return;
+    }
+    const t = line.trim();
+    if (t) options.push(t);
+  });
+  const meta = {};
+  Object.entries(raw).forEach(([opt, m]) => { const c = cleanMeta(m); if (c) meta[opt] = c; });
+  return { options, meta };
+}
+
+// Floating card for an option's description, aliases and reference image
+function showOptionCard(row, cat, opt) {
+  const m = optionMeta(cat, opt);
+  if (!m) return;
+  optionCard.innerHTML = "";
+  if (m.image) {
+    const img = document.createElement("img");
+    img.className = "optionCardImage";
+    img.alt = "";
+    img.src = m.image;
+    img.onerror = () => img.remove();
+    optionCard.appendChild(img);
+  }
+  const title = document.createElement("div");
+  title.className = "optionCardTitle";
+  title.textContent = slotLabel(opt);
+  optionCard.appendChild(title);
+  if (m.description) {
+    const d = document.createElement("div");
+    d.className = "optionCardText";
+    d.textContent = m.description;
+    optionCard.appendChild(d);
+  }
+  if (m.aliases) {
+    const a = document.createElement("div");
+    a.className = "tinyHint";
+    a.textContent = `Also found as: ${m.aliases.join(", ")}`;
+    optionCard.appendChild(a);
+  }
+  if (m.positive && isNegativeCategory(cat)) {
+    const p = document.createElement("div");
+    p.className = "tinyHint";
+    p.textContent = "Stays in the prompt (not sent to the negative slot)";
+    optionCard.appendChild(p);
+  }
+  optionCard.classList.remove("hidden");
+
+  // Beside the row, flipped to the left / nudged up when it would leave the window
+  const r = row.getBoundingClientRect();
+  const w = optionCard.offsetWidth || 280;
+  const h = optionCard.offsetHeight || 0;
+  const left = r.right + 8 + w <= window.innerWidth ? r.right + 8 : Math.max(8, r.left - 8 - w);
+  optionCard.style.left = `${left}px`;
+  optionCard.style.top = `${Math.max(8, Math.min(r.top, window.innerHeight - h - 8))}px`;
+}
+function hideOptionCard() { optionCard.classList.add("hidden"); }
+
+// Pick an image for the option the caret is on; it is written (shrunk) as that option's "image:" line
+function attachOptionImage() {
+  const input = document.getElementById("modalImageFile");
+  const lines = modalLines.value.split("\n");
+  let at = modalLines.value.slice(0, modalLines.selectionStart).split("\n").length - 1;
+  while (at > 0 && META_LINE.test(lines[at])) at--;
+  if (!lines[at] || !lines[at].trim() || META_LINE.test(lines[at])) return alert("Put the cursor on an option line first.");
+  input.value = "";
+  input.onchange = () => {
+    const file = input.files && input.files[0];
+    if (!file) return;
+    blobToDataUrl(file).then(src => shrinkImage(src, 256)).then((src) => {
+      let end = at + 1;
+      while (end < lines.length && META_LINE.test(lines[end])) end++;
+      const block = lines.slice(at + 1, end).filter(l => l.match(META_LINE)[1].toLowerCase() !== "image");
+      lines.splice(at + 1, end - at - 1, ...block, `  image: ${src}`);
+      modalLines.value = lines.join("\n");
+      modalLines.focus();
+      const caret = lines.slice(0, at + 1).join("\n").length; // back on the option line
+      modalLines.setSelectionRange(caret, caret);
+    }).catch(e => alert("Could not read image: " + (e.message || e)));
+  };
+  input.click();
+}
 
 // ---------- Core helpers (NEW) ----------
 
@@ -137,92 +688,551 @@ function escapeRegExp(str) {
   return String(str || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 }
 
+/**
+ * Per-category token separators (cat.separator; missing = comma):
+ *   re    — one separator (whitespace around it is matched via ws)
+ *   join  — written between tokens; end — written after the last token
+ *   slot  — one character a slot fill may contain
+ */
+const SEPARATORS = {
+  comma: { label: "Comma", re: ",", join: ", ", end: "", slot: "[^,]", ws: "\\s" },
+  semicolon: { label: "Semicolon", re: ";", join: "; ", end: "", slot: "[^;]", ws: "\\s" },
+  newline: { label: "New line", re: "\\n", join: "\n", end: "", slot: "[^\\n]", ws: "[ \\t\\r]" },
+  sentence: { label: "Sentences", re: "\\.(?=\\s|$)", join: ". ", end: ".", slot: "(?:[^.\\n]|\\.(?!\\s|$))", ws: "\\s" },
+};
+const DEFAULT_SEP = SEPARATORS.comma;
+function sepOf(cat) { return SEPARATORS[cat && cat.separator] || DEFAULT_SEP; }
+// Lookahead: a token ends at the next separator or the end of the text
+function sepEnd(sep) { return `(?=${sep.ws}*(?:${sep.re}|$))`; }
+// Trailing separators/whitespace off a text or token
+function stripSep(text, sep) { return String(text || "").replace(new RegExp(`(?:${sep.ws}|${sep.re})+$`), "").trim(); }
+
 /**
  * IMPORTANT:
- * Options themselves often contain commas (e.g. "massing, proportions, ...").
- * So we MUST NOT split the output text by comma.
- * Instead, treat each option as an exact token and detect it with a boundary-aware regex:
- *   (^|,\s*) <OPTION> (?=\s*(,|$))
+ * Options themselves often contain their category's separator (e.g. "massing, proportions, ...").
+ * So we MUST NOT split the output text by separator.
+ * Instead, treat each option as an exact token and detect it with a boundary-aware regex (tokenRegex):
+ *   (^|<sep.re><sep.ws>*) <OPTION> (?=<sep.ws>*(<sep.re>|$))
+ */
+/**
+ * Weighted tokens still count as the option:
+ *   (opt:1.3)   — SD-style emphasis
+ *   opt::2      — Midjourney-style weight
  */
-function tokenRegex(opt) {
-  const e = escapeRegExp(opt);
-  return new RegExp(`(?:^|,\\s*)${e}(?=\\s*(?:,|$))`);
+const WEIGHT_NUM = "-?\\d+(?:\\.\\d+)?";
+// options: the option's category list — a template never claims a token that is exactly one of its plain siblings
+function optionPattern(opt, sep = DEFAULT_SEP, options = []) {
+  const e = slotBodyPattern(opt, false, sep);
+  const lits = hasSlots(opt) ? literalSiblings(opt, options).map(o => escapeRegExp(stripSep(o, sep))).join("|") : "";
+  const notW = lits ? `(?!(?:${lits}):${WEIGHT_NUM}\\))` : "";
+  const notP = lits ? `(?!(?:${lits})(?:::${WEIGHT_NUM})?${sepEnd(sep)})` : "";
+  return `(?:\\(${notW}${e}:${WEIGHT_NUM}\\)|${notP}${e}(?:::${WEIGHT_NUM})?)`;
 }
-function hasOptionToken(text, opt) {
+function literalSiblings(opt, options) {
+  return (options || []).filter(o => o && o !== opt && !hasSlots(o));
+}
+
+/**
+ * Template slots inside an option:
+ *   {name}          — free text, filled inline
+ *   {name:a|b|c}    — dropdown, first choice is the default
+ * A filled token ("Mid-rise academic building…") still reconciles to its source option:
+ * a free slot matches any text without the category's separator (sep.slot), a dropdown only one of its choices
+ * (both also match the bare "{name}" placeholder).
+ */
+const SLOT_RE = /\{([^{}:]+)(?::([^{}]*))?\}/g;
+function parseSlots(opt) {
+  return [...String(opt || "").matchAll(SLOT_RE)].map(m => ({
+    name: m[1].trim(),
+    choices: m[2] === undefined ? null : m[2].split("|").map(x => x.trim()).filter(Boolean),
+  }));
+}
+function hasSlots(opt) { return parseSlots(opt).length > 0; }
+
+// A trailing separator inside the option itself ("Keep it.") is not part of the token
+function slotBodyPattern(opt, capture, sep = DEFAULT_SEP) {
+  const o = stripSep(opt, sep);
+  const any = `${sep.slot}+?`;
+  let src = "";
+  let last = 0;
+  for (const m of o.matchAll(SLOT_RE)) {
+    const slot = parseSlots(m[0])[0];
+    const fill = slot.choices && slot.choices.length
+      ? `(?:${[...slot.choices, `{${slot.name}}`].map(escapeRegExp).join("|")})`
+      : any;
+    src += escapeRegExp(o.slice(last, m.index)) + (capture ? `(${fill})` : fill);
+    last = m.index + m[0].length;
+  }
+  return src + escapeRegExp(o.slice(last));
+}
+
+// values: { [slotName]: text }; missing => first choice, or the "{name}" placeholder
+// Fills never contain the category's separator (a comma by default)
+function fillSlots(opt, values = {}, sep = DEFAULT_SEP) {
+  const strip = new RegExp(`${sep.re}|\\n`, "g");
+  return String(opt || "").replace(SLOT_RE, (_, name, choices) => {
+    const key = name.trim();
+    const v = String(values[key] ?? "").replace(strip, " ").replace(/\s{2,}/g, " ").trim();
+    if (v) return v;
+    const first = choices === undefined ? "" : choices.split("|")[0].trim();
+    return first || `{${key}}`;
+  });
+}
+
+// Fill for a newly checked template: the first dropdown combination that none of its plain
+// siblings is written as (else the sibling, not the template, would end up checked)
+function freshFill(opt, sep = DEFAULT_SEP, options = []) {
+  const taken = new Set(literalSiblings(opt, options).map(o => stripSep(o, sep)));
+  let combos = [{}];
+  parseSlots(opt).forEach((slot) => {
+    if (slot.choices && slot.choices.length) combos = combos.flatMap(v => slot.choices.map(c => ({ ...v, [slot.name]: c }))).slice(0, 256);
+  });
+  const fills = combos.map(v => stripSep(fillSlots(opt, v, sep), sep));
+  return fills.find(f => !taken.has(f)) || fills[0];
+}
+
+// Display form: "{height:a|b} building" => "{height} building"
+function slotLabel(opt) { return String(opt || "").replace(SLOT_RE, (_, name) => `{${name.trim()}}`); }
+function tokenRegex(opt, sep = DEFAULT_SEP, options = []) {
+  return new RegExp(`(?:^|(?:${sep.re})${sep.ws}*)${optionPattern(opt, sep, options)}${sepEnd(sep)}`);
+}
+function hasOptionToken(text, opt, sep = DEFAULT_SEP, options = []) {
   const t = (text || "").trim();
   if (!t || !opt) return false;
-  return tokenRegex(opt).test(t);
+  return tokenRegex(opt, sep, options).test(t);
 }
 
-function addOptionToken(text, opt) {
+function addOptionToken(text, opt, sep = DEFAULT_SEP, options = []) {
   const t = (text || "").trim();
   if (!opt) return t;
-  if (hasOptionToken(t, opt)) return t;
-  if (!t) return opt;
-  // ensure no trailing comma before appending
-  const base = t.replace(/,\s*$/, "").trim();
-  return base ? `${base}, ${opt}` : opt;
+  if (hasOptionToken(t, opt, sep, options)) return t;
+  const token = freshFill(opt, sep, options);
+  // ensure no trailing separator before appending
+  const base = stripSep(t, sep);
+  return (base ? `${base}${sep.join}${token}` : token) + sep.end;
 }
 
-function removeOptionToken(text, opt) {
+function removeOptionToken(text, opt, sep = DEFAULT_SEP, options = []) {
   let t = (text || "").trim();
   if (!t || !opt) return t;
 
-  const e = escapeRegExp(opt);
+  const e = optionPattern(opt, sep, options);
+  const S = `(?:${sep.re})`;
 
   // 1) remove at start (and eat following separator if present)
-  t = t.replace(new RegExp(`^${e}\\s*(?:,\\s*)?`), "");
+  t = t.replace(new RegExp(`^${e}${sepEnd(sep)}${sep.ws}*(?:${S}${sep.ws}*)?`), "");
 
   // 2) remove elsewhere (eat the leading separator)
-  t = t.replace(new RegExp(`(?:,\\s*)${e}`, "g"), "");
+  t = t.replace(new RegExp(`${S}${sep.ws}*${e}${sepEnd(sep)}`, "g"), "");
+
+  return tidyTokens(t, sep);
+}
+
+// Strip leading/trailing separators, collapse accidental doubles, restore the closing separator
+function tidyTokens(text, sep = DEFAULT_SEP) {
+  const S = `(?:${sep.re})`;
+  let t = String(text || "").replace(new RegExp(`^(?:${sep.ws}|${S})+`), "");
+  t = stripSep(t, sep);
+  t = t.replace(new RegExp(`${S}${sep.ws}*(?:${S}${sep.ws}*)+`, "g"), sep.join);
+  t = t.replace(new RegExp(`${sep.ws}{2,}`, "g"), " ").trim();
+  return t ? t + sep.end : t;
+}
+
+/**
+ * Split output text into tokens using the same boundary rules as tokenRegex:
+ * a known option (longest first) is taken whole even if it contains the separator;
+ * anything else is a custom token running to the next separator.
+ */
+function splitTokens(text, options, sep = DEFAULT_SEP) {
+  const t = (text || "").trim();
+  const matchers = (options || []).filter(Boolean)
+    .sort((a, b) => b.length - a.length)
+    .map(o => new RegExp(`^(?:${optionPattern(o, sep, options)})${sepEnd(sep)}`));
+  const gap = new RegExp(`(?:\\s|${sep.re})+`, "y");
+  const next = new RegExp(sep.re);
+  const tokens = [];
+  let i = 0;
+  while (i < t.length) {
+    gap.lastIndex = i;
+    if (gap.test(t)) i = gap.lastIndex;
+    if (i >= t.length) break;
+    const rest = t.slice(i);
+    const m = matchers.map(re => re.exec(rest)).find(Boolean);
+    const cut = m ? null : next.exec(rest);
+    const len = m ? m[0].length : (cut ? cut.index : rest.length);
+    const tok = rest.slice(0, len).trim();
+    if (tok) tokens.push(tok);
+    i += len;
+  }
+  return tokens;
+}
+
+// Tokens back into text for a separator; convertSeparator re-joins a text written for another one
+function joinTokens(tokens, sep = DEFAULT_SEP) {
+  const list = tokens.map(t => stripSep(t, sep)).filter(Boolean);
+  return list.length ? list.join(sep.join) + sep.end : "";
+}
+function convertSeparator(text, options, from, to) {
+  if (from === to) return (text || "").trim();
+  return joinTokens(splitTokens(text, options, from), to);
+}
+
+// "(x:1.3)" / "x::1.3" / "x" => { body, weight } (weight null when unweighted)
+function parseWeighted(token) {
+  const t = String(token || "").trim();
+  let m = /^\((.+):(-?\d+(?:\.\d+)?)\)$/.exec(t) || /^(.+?)::(-?\d+(?:\.\d+)?)$/.exec(t);
+  return m ? { body: m[1].trim(), weight: Number(m[2]) } : { body: t, weight: null };
+}
+// style: "sd" => (x:w), "mj" => x::w, "none" => x
+function weighted(body, weight, style = "sd") {
+  if (weight === null || weight === 1 || style === "none") return body;
+  return style === "mj" ? `${body}::${weight}` : `(${body}:${weight})`;
+}
+
+// Weight of an option token in the text: null = not present, 1 = unweighted
+function getOptionWeight(text, opt, sep = DEFAULT_SEP, options = []) {
+  const token = optionToken(text, opt, sep, options);
+  if (token === null) return null;
+  const w = parseWeighted(token).weight;
+  return w === null ? 1 : w;
+}
+
+// Rewrite the option's token in place (position kept): fn({ body, weight }) => { body, weight }
+function rewriteOptionToken(text, opt, fn, sep = DEFAULT_SEP, options = []) {
+  const t = (text || "").trim();
+  const re = new RegExp(`(^|(?:${sep.re})${sep.ws}*)(${optionPattern(opt, sep, options)})${sepEnd(sep)}`);
+  if (!re.test(t)) return t;
+  return t.replace(re, (_, lead, token) => {
+    const next = fn(parseWeighted(token));
+    return lead + weighted(next.body, next.weight);
+  });
+}
+
+// New weight (1 = plain token); slot fills are kept
+function setOptionWeight(text, opt, weight, sep = DEFAULT_SEP, options = []) {
+  const w = Math.round(Number(weight) * 100) / 100;
+  return rewriteOptionToken(text, opt, ({ body }) => ({ body, weight: Number.isFinite(w) ? w : 1 }), sep, options);
+}
+
+// The option's token exactly as written in the text (weight/slot fills included), or null
+function optionToken(text, opt, sep = DEFAULT_SEP, options = []) {
+  const m = tokenRegex(opt, sep, options).exec((text || "").trim());
+  return m ? m[0].replace(new RegExp(`^(?:${sep.re})${sep.ws}*`), "") : null;
+}
+
+// Current slot fills of an option's token: { [slotName]: text } (null = token not present)
+function getSlotValues(text, opt, sep = DEFAULT_SEP, options = []) {
+  const token = optionToken(text, opt, sep, options);
+  if (token === null) return null;
+  const { body } = parseWeighted(token);
+  const cap = new RegExp(`^${slotBodyPattern(opt, true, sep)}$`).exec(body);
+  const values = {};
+  parseSlots(opt).forEach((slot, i) => {
+    const v = cap ? cap[i + 1].trim() : "";
+    values[slot.name] = v === `{${slot.name}}` ? "" : v;
+  });
+  return values;
+}
 
-  // tidy: strip leading/trailing separators + collapse accidental doubles
-  t = t.replace(/^\s*,\s*/, "").replace(/\s*,\s*$/, "");
-  t = t.replace(/,\s*,+/g, ", ");
-  t = t.replace(/\s{2,}/g, " ").trim();
-  return t;
+function setSlotValue(text, opt, slotName, value, sep = DEFAULT_SEP, options = []) {
+  const values = getSlotValues(text, opt, sep, options);
+  if (!values) return (text || "").trim();
+  values[slotName] = value;
+  return rewriteOptionToken(text, opt, ({ weight }) => ({ body: stripSep(fillSlots(opt, values, sep), sep), weight }), sep, options);
 }
 
 // Ensure output entry exists (init only)
 function ensureOutputEntry(cat) {
   const existing = outputsByCatId[cat.id];
   if (existing) return;
-  outputsByCatId[cat.id] = { text: "", dirty: false, undo: [], lastValue: "" };
-}
-
-function pushUndo(catId, prevText) {
-  const out = outputsByCatId[catId];
-  if (!out) return;
-  out.undo = out.undo || [];
-  out.undo.push(prevText ?? "");
-  if (out.undo.length > 120) out.undo.shift();
+  outputsByCatId[cat.id] = { text: "" };
 }
 
 // Right-textarea -> Left-selection reconciliation
 function reconcileSelectionFromText(cat, text) {
   const t = (text || "").trim();
   const sel = [];
+  const sep = sepOf(cat);
   (cat.options || []).forEach((opt, i) => {
-    if (opt && hasOptionToken(t, opt)) sel.push(i);
+    if (opt && hasOptionToken(t, opt, sep, cat.options)) sel.push(i);
   });
   cat.selected = sel;
 }
 
 
-// Build summary from current per-cat outputs
-function buildSummary() {
+// ---------- Output targets ----------
+
+function isNegativeCategory(cat) { return cat.role === "negative"; }
+
+// Every token of a negative block is a negative term ("No X" / "Avoid X" / "Without X" => X),
+// typed ones included; only options marked positive (quality lines) stay in the prompt
+const NEGATION_RE = /^(?:no|avoid|without|do not|don['’]t)\s+/i;
+function splitNegatives(block) {
+  const { cat, tokens } = block;
+  const sep = sepOf(cat);
+  const keep = (cat.options || []).filter(o => optionMeta(cat, o)?.positive);
+  const pos = [];
+  const neg = [];
+  tokens.forEach((t) => {
+    if (keep.some(o => hasOptionToken(t, o, sep, cat.options))) return pos.push(t);
+    const { body, weight } = parseWeighted(t);
+    neg.push(weighted(body.replace(NEGATION_RE, ""), weight));
+  });
+  return { pos, neg };
+}
+
+// Positive/negative terms across all blocks (only negative-role blocks contribute negatives)
+function gatherTerms(blocks) {
+  const pos = [];
+  const neg = [];
+  blocks.forEach((b) => {
+    if (!b.negative) return pos.push(...b.tokens);
+    const split = splitNegatives(b);
+    pos.push(...split.pos);
+    neg.push(...split.neg);
+  });
+  return { pos, neg };
+}
+
+// Normalize a token for a target: tidy trailing punctuation and convert weight syntax
+function restyle(token, style) {
+  const { body, weight } = parseWeighted(token);
+  const b = trimSentence(body);
+  return b ? weighted(b, weight, style) : "";
+}
+
+function trimSentence(t) { return String(t || "").trim().replace(/[.;:\s]+$/, ""); }
+function asSentence(t) {
+  const s = trimSentence(t);
+  return s ? s.charAt(0).toUpperCase() + s.slice(1) + "." : "";
+}
+
+// cat.template "Preserve: …" wraps the category's text ("…" marks where it goes).
+// Templates shape the prose targets (Plain, Nano Banana); keyword targets use bare tokens.
+function applyTemplate(cat, text) {
+  const tpl = cat.template || "";
+  if (!tpl || !text) return text;
+  const i = tpl.indexOf("…");
+  return i < 0 ? `${tpl} ${text}` : tpl.slice(0, i) + text + tpl.slice(i + 1);
+}
+
+// Each block: { cat, text, tokens, negative }
+function formatPlain(blocks) {
+  return { text: blocks.map(b => applyTemplate(b.cat, b.text)).join("\n\n"), negative: "" };
+}
+
+function formatMidjourney(blocks, cfg) {
+  const { pos, neg } = gatherTerms(blocks);
+  let line = pos.map(t => restyle(t, "mj")).filter(Boolean).join(", ");
+  if (neg.length) line += ` --no ${neg.map(t => restyle(t, "none")).join(", ")}`;
+  if (cfg.ar) line += ` --ar ${cfg.ar}`;
+  if (cfg.style) line += ` --style ${cfg.style}`;
+  if (cfg.extra) line += ` ${cfg.extra}`;
+  return { text: line.trim(), negative: "" };
+}
+
+function formatStableDiffusion(blocks) {
+  const { pos, neg } = gatherTerms(blocks);
+  return {
+    text: pos.map(t => restyle(t, "sd")).filter(Boolean).join(", "),
+    negative: neg.map(t => restyle(t, "sd")).filter(Boolean).join(", "),
+  };
+}
+
+// Instruction sentences have no weight syntax, so weights are dropped
+function formatNanoBanana(blocks) {
+  const paras = [];
+  const neg = [];
+  blocks.forEach((b) => {
+    let tokens = b.tokens;
+    if (b.negative) {
+      const split = splitNegatives(b);
+      tokens = split.pos;
+      neg.push(...split.neg);
+    }
+    const para = tokens.map(t => asSentence(restyle(t, "none"))).filter(Boolean).join(" ");
+    if (para) paras.push(applyTemplate(b.cat, para));
+  });
+  if (neg.length) paras.push(asSentence(`Avoid ${neg.map(t => restyle(t, "none")).join(", ")}`));
+  return { text: paras.join("\n\n"), negative: "" };
+}
+
+const TARGETS = {
+  plain: { label: "Plain", format: formatPlain },
+  midjourney: { label: "Midjourney", format: formatMidjourney, params: true },
+  sd: { label: "Stable Diffusion", format: formatStableDiffusion, negativeField: true },
+  nanobanana: { label: "Nano Banana", format: formatNanoBanana },
+};
+
+// limits: approximate-token budget per target (0 = no limit).
+// SD's CLIP encoder reads 75 tokens per chunk; Midjourney loses influence past ~150.
+const DEFAULT_TARGET = {
+  id: "plain",
+  mj: { ar: "", style: "", extra: "" },
+  limits: { plain: 0, midjourney: 150, sd: 75, nanobanana: 1000 },
+};
+function getTarget() {
+  const t = safeJsonParse(storeGet(STORAGE_KEY_TARGET) || "null", null) || {};
+  return {
+    id: TARGETS[t.id] ? t.id : DEFAULT_TARGET.id,
+    mj: { ...DEFAULT_TARGET.mj, ...(t.mj || {}) },
+    limits: { ...DEFAULT_TARGET.limits, ...(t.limits || {}) },
+  };
+}
+function targetLimit() { const t = getTarget(); return Number(t.limits[t.id]) || 0; }
+function setTarget(t) { storeSet(STORAGE_KEY_TARGET, JSON.stringify(t)); }
+
+// Build summary from current per-cat outputs, shaped for the selected target
+// texts: optional { [catId]: text } to format instead of the live outputs
+function buildSummary(texts = null) {
   const blocks = [];
   for (const cat of state.categories) {
     ensureOutputEntry(cat);
-    const text = (outputsByCatId[cat.id]?.text || "").trim();
-    if (!text) continue;
-    blocks.push(text);
+    const text = ((texts ? texts[cat.id] : outputsByCatId[cat.id]?.text) || "").trim();
+    if (!text || !isAudible(cat)) continue;
+    blocks.push({ cat, text, tokens: splitTokens(text, cat.options, sepOf(cat)), negative: isNegativeCategory(cat) });
+  }
+  const target = getTarget();
+  return TARGETS[target.id].format(blocks, target.mj);
+}
+function updateSummary() {
+  const { text, negative } = buildSummary();
+  elSummary.value = text;
+  elSummaryNegative.value = negative;
+  renderLint();
+  renderBudget();
+}
+
+// ---------- Length / token budget ----------
+
+// Rough BPE-style estimate: a word is ~1 token per 8 chars, each punctuation mark is one
+function approxTokens(text) {
+  let n = 0;
+  for (const m of String(text || "").matchAll(/[\p{L}\p{N}]+|[^\s\p{L}\p{N}]/gu)) {
+    n += /[\p{L}\p{N}]/u.test(m[0]) ? Math.max(1, Math.ceil(m[0].length / 8)) : 1;
   }
-  return blocks.join("\n\n");
+  return n;
+}
+function measure(text) {
+  const t = String(text || "").trim();
+  return { chars: t.length, words: t ? t.split(/\s+/).length : 0, tokens: approxTokens(t) };
+}
+function meterText(m, limit) {
+  return `${m.chars} chars · ${m.words} words · ~${m.tokens}${limit ? ` / ${limit}` : ""} tok`;
+}
+function setMeter(el, text, limit) {
+  const m = measure(text);
+  el.textContent = meterText(m, limit);
+  el.classList.toggle("meterOver", !!limit && m.tokens > limit);
+  return m;
+}
+
+function renderBudget() {
+  const limit = targetLimit();
+  const m = setMeter(summaryMeter, elSummary.value, limit);
+  if (limit && m.tokens > limit) summaryMeter.textContent += ` — over by ~${m.tokens - limit}`;
+  setMeter(negativeMeter, elSummaryNegative.value, limit);
+
+  // Which categories use the most budget (raw output text, before target formatting)
+  const rows = state.categories.filter(isAudible)
+    .map(cat => ({ cat, tokens: measure(outputsByCatId[cat.id]?.text).tokens }))
+    .filter(r => r.tokens > 0)
+    .sort((a, b) => b.tokens - a.tokens);
+  const total = rows.reduce((sum, r) => sum + r.tokens, 0);
+
+  budgetBreakdown.innerHTML = "";
+  if (!rows.length) {
+    budgetBreakdown.innerHTML = '<div class="tinyHint">Nothing selected yet.</div>';
+    return;
+  }
+  rows.forEach((r) => {
+    const row = document.createElement("div");
+    row.className = "budgetRow";
+    const name = document.createElement("div");
+    name.className = "budgetName";
+    name.textContent = r.cat.name;
+    const bar = document.createElement("div");
+    bar.className = "budgetBar";
+    const fill = document.createElement("div");
+    fill.className = "budgetFill";
+    fill.style.width = `${Math.round((r.tokens / total) * 100)}%`;
+    bar.appendChild(fill);
+    const n = document.createElement("div");
+    n.className = "budgetNum";
+    n.textContent = `~${r.tokens} tok · ${Math.round((r.tokens / total) * 100)}%`;
+    row.appendChild(name);
+    row.appendChild(bar);
+    row.appendChild(n);
+    budgetBreakdown.appendChild(row);
+  });
+}
+
+// Summary text as stored in history / copied as a whole
+function joinSummary({ text, negative }) {
+  const t = (text || "").trim();
+  const n = (negative || "").trim();
+  return n ? `${t}\n\nNegative prompt: ${n}` : t;
+}
+function summaryForSave() { return joinSummary({ text: elSummary.value, negative: elSummaryNegative.value }); }
+
+function renderTargetControls() {
+  const target = getTarget();
+  const def = TARGETS[target.id];
+  targetSelect.value = target.id;
+  targetParams.classList.toggle("hidden", !def.params);
+  mjAr.value = target.mj.ar;
+  mjStyle.value = target.mj.style;
+  mjExtra.value = target.mj.extra;
+  budgetLimit.value = target.limits[target.id];
+  negativeWrap.classList.toggle("hidden", !def.negativeField);
+}
+
+function onTargetChange() {
+  const prev = getTarget();
+  setTarget({
+    id: targetSelect.value,
+    mj: { ar: mjAr.value.trim(), style: mjStyle.value.trim(), extra: mjExtra.value.trim() },
+    limits: prev.limits,
+  });
+  renderTargetControls();
+  renderOutputs();
+  updateSummary();
+}
+
+function onLimitChange() {
+  const t = getTarget();
+  const n = Math.floor(Number(budgetLimit.value));
+  t.limits[t.id] = Number.isFinite(n) && n > 0 ? n : 0;
+  setTarget(t);
+  renderTargetControls();
+  renderOutputs();
+  updateSummary();
+}
+
+// Save, and record whatever changed since the last step in the undo history (see "Undo / redo")
+function persist(label, opts) {
+  saveState(state);
+  saveOutputs(outputsByCatId);
+  recordStep(label, opts);
 }
-function updateSummary() { elSummary.value = buildSummary(); }
 
-function persist() { saveState(state); saveOutputs(outputsByCatId); }
+// Fill in missing fields, then derive left selections from stored output text (source-of-truth)
+function normalizeState() {
+  state.rules = state.rules || [];
+  state.categories.forEach(c => {
+    c.options = c.options || [];
+    c.selected = c.selected || [];
+    // libraries saved before output targets existed: the stock negative category keeps its role
+    if (c.role === undefined && c.id === "negative") c.role = "negative";
+  });
+  for (const cat of state.categories) {
+    ensureOutputEntry(cat);
+    const out = outputsByCatId[cat.id];
+    if (out && typeof out.text === "string" && out.text.length) {
+      reconcileSelectionFromText(cat, out.text);
+    }
+  }
+}
 
 function isAllSelected(cat) {
   return (cat.selected || []).length === (cat.options || []).length && (cat.options || []).length > 0;
@@ -236,13 +1246,8 @@ function applyLeftToggle(cat, idx, checked) {
   if (!opt) return;
 
   const prev = out.text || "";
-  const next = checked ? addOptionToken(prev, opt) : removeOptionToken(prev, opt);
-
-  if (next !== prev) pushUndo(cat.id, prev);
-
+  const next = checked ? addOptionToken(prev, opt, sepOf(cat), cat.options) : removeOptionToken(prev, opt, sepOf(cat), cat.options);
   out.text = next;
-  out.lastValue = next;
-  out.dirty = true;
 
   // right is source of truth => derive left selection from text
   reconcileSelectionFromText(cat, next);
@@ -259,446 +1264,3422 @@ function applyLeftAllClear(cat, selectAll) {
   const opts = (cat.options || []).filter(Boolean);
 
   if (selectAll) {
-    for (const s of opts) next = addOptionToken(next, s);
+    for (const s of opts) next = addOptionToken(next, s, sepOf(cat), opts);
   } else {
     // clear only exact option tokens; keep any custom edits
-    for (const s of opts) next = removeOptionToken(next, s);
+    for (const s of opts) next = removeOptionToken(next, s, sepOf(cat), opts);
   }
 
-  if (next !== prev) pushUndo(cat.id, prev);
-
   out.text = next;
-  out.lastValue = next;
-  out.dirty = true;
-
   reconcileSelectionFromText(cat, next);
 }
 
 
 // ---------- UI render ----------
 
+// Left-column view prefs (not part of the library): { collapsed:[catId], selectedOnly, favoritesFirst }
+function getUiPrefs() {
+  const p = safeJsonParse(storeGet(STORAGE_KEY_UI) || "null", null) || {};
+  return { collapsed: p.collapsed || [], selectedOnly: !!p.selectedOnly, favoritesFirst: p.favoritesFirst !== false };
+}
+function setUiPrefs(patch) { storeSet(STORAGE_KEY_UI, JSON.stringify({ ...getUiPrefs(), ...patch })); }
+
+function isFavorite(cat, opt) { return (cat.favorites || []).includes(opt); }
+
+// Text node(s) with every case-insensitive occurrence of q wrapped in <mark>
+function appendHighlighted(el, text, q) {
+  if (!q) return el.appendChild(document.createTextNode(text));
+  const lower = text.toLowerCase();
+  let i = 0;
+  for (let j = lower.indexOf(q); j >= 0; j = lower.indexOf(q, i)) {
+    if (j > i) el.appendChild(document.createTextNode(text.slice(i, j)));
+    const m = document.createElement("mark");
+    m.textContent = text.slice(j, j + q.length);
+    el.appendChild(m);
+    i = j + q.length;
+  }
+  if (i < text.length) el.appendChild(document.createTextNode(text.slice(i)));
+}
+
 function renderCategories() {
   elCategories.innerHTML = "";
+  hideOptionCard(); // its row is about to be replaced
 
-  state.categories.forEach((cat) => {
-    const wrap = document.createElement("div");
-    wrap.className = "category";
-
-    const top = document.createElement("div");
-    top.className = "categoryTop";
+  const q = (optionSearch.value || "").trim().toLowerCase();
+  const prefs = getUiPrefs();
+  const filtering = !!q || prefs.selectedOnly;
+  let shown = 0;
 
-    const left = document.createElement("div");
-    const name = document.createElement("div");
-    name.className = "categoryName";
-    name.textContent = cat.name;
+  state.categories.forEach((cat) => {
+    const wrap = renderCategoryBlock(cat, q, prefs);
+    if (!wrap) return;
+    shown++;
+    elCategories.appendChild(wrap);
+  });
 
-    const sub = document.createElement("div");
-    sub.className = "categorySub";
-    sub.textContent = `${(cat.selected || []).length} selected`;
+  if (filtering && !shown) {
+    const empty = document.createElement("div");
+    empty.className = "tinyHint";
+    empty.textContent = q ? `No options match “${optionSearch.value.trim()}”.` : "Nothing selected yet.";
+    elCategories.appendChild(empty);
+  }
+}
 
-    left.appendChild(name);
-    left.appendChild(sub);
+// One category on the left; null when the search or the selected-only view hides it
+function renderCategoryBlock(cat, q, prefs) {
+  const filtering = !!q || prefs.selectedOnly;
+  // Which options to list, keeping their real index
+  const nameHit = !!q && cat.name.toLowerCase().includes(q);
+  let rows = (cat.options || []).map((optText, idx) => ({ optText, idx }));
+  if (q && !nameHit) rows = rows.filter(r => slotLabel(r.optText).toLowerCase().includes(q) || metaMatch(cat, r.optText, q));
+  if (prefs.selectedOnly) rows = rows.filter(r => (cat.selected || []).includes(r.idx));
+  if (filtering && !rows.length) return null;
+  if (prefs.favoritesFirst) rows.sort((a, b) => isFavorite(cat, b.optText) - isFavorite(cat, a.optText));
+
+  const collapsed = prefs.collapsed.includes(cat.id) && !filtering;
+
+  const wrap = document.createElement("div");
+  wrap.className = `category${isAudible(cat) ? "" : " categoryMuted"}`;
+  wrap.dataset.catBlock = cat.id;
+  makeDropTarget(wrap, d => d.type === "cat", (d, after) => moveCategory(d.catId, cat.id, after));
+
+  const top = document.createElement("div");
+  top.className = "categoryTop";
+
+  const handle = document.createElement("div");
+  handle.className = "dragHandle";
+  handle.textContent = "⋮⋮";
+  handle.title = "Drag to reorder categories";
+  makeDraggable(handle, { type: "cat", catId: cat.id });
+
+  const left = document.createElement("div");
+  left.className = "categoryHead";
+  left.title = collapsed ? "Expand" : "Collapse";
+  left.onclick = () => toggleCollapsed(cat.id);
+  const name = document.createElement("div");
+  name.className = "categoryName";
+  name.appendChild(document.createTextNode(collapsed ? "▸ " : "▾ "));
+  appendHighlighted(name, cat.name, q);
+
+  const sub = document.createElement("div");
+  sub.className = "categorySub";
+  sub.textContent = `${(cat.selected || []).length} selected${cat.single ? " · pick one" : ""}`;
+  if (filtering) sub.textContent += ` · ${rows.length} of ${(cat.options || []).length} shown`;
+
+  left.appendChild(name);
+  left.appendChild(sub);
+
+  const btns = document.createElement("div");
+  btns.className = "catBtns";
+
+  const btnAll = document.createElement("button");
+  btnAll.className = "iconBtn";
+  btnAll.textContent = isAllSelected(cat) ? "Clear" : "All";
+  btnAll.title = isAllSelected(cat) ? "Clear all selections" : "Select all options";
+  btnAll.onclick = () => toggleAll(cat.id);
+
+  const btnEdit = document.createElement("button");
+  btnEdit.className = "iconBtn";
+  btnEdit.textContent = "Edit";
+  btnEdit.onclick = () => openBulkModal(cat.id);
+
+  const btnDelCat = document.createElement("button");
+  btnDelCat.className = "iconBtn iconBtnDanger";
+  btnDelCat.textContent = "🗑";
+  btnDelCat.title = "Delete category";
+  btnDelCat.onclick = () => deleteCategory(cat.id);
+
+  renderMixToggles(cat, "iconBtn").forEach(b => btns.appendChild(b));
+  btns.appendChild(btnAll);
+  btns.appendChild(btnEdit);
+  btns.appendChild(btnDelCat);
+
+  top.appendChild(handle);
+  top.appendChild(left);
+  top.appendChild(btns);
+  wrap.appendChild(top);
+
+  if (collapsed) return wrap;
+
+  const opts = document.createElement("div");
+  opts.className = "options";
+
+  rows.forEach(({ optText, idx }) => {
+    const row = document.createElement("label");
+    row.className = "optionRow";
+    makeDropTarget(row, d => d.type === "opt" && d.catId === cat.id, (d, after) => moveOption(cat.id, d.idx, idx, after));
+
+    const grip = document.createElement("span");
+    grip.className = "dragHandle";
+    grip.textContent = "⋮⋮";
+    grip.title = "Drag to reorder options";
+    makeDraggable(grip, { type: "opt", catId: cat.id, idx });
+
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.checked = (cat.selected || []).includes(idx);
+    cb.onchange = () => toggleOption(cat.id, idx, cb.checked);
+
+    const body = document.createElement("div");
+    const text = document.createElement("div");
+    text.className = "optionText";
+    appendHighlighted(text, slotLabel(optText), q);
+    body.appendChild(text);
+    if (optionMeta(cat, optText)) {
+      text.appendChild(document.createTextNode(" "));
+      const info = document.createElement("span");
+      info.className = "optionInfo";
+      info.textContent = "ⓘ";
+      text.appendChild(info);
+      row.onmouseenter = () => showOptionCard(row, cat, optText);
+      row.onmouseleave = hideOptionCard;
+      cb.onfocus = () => showOptionCard(row, cat, optText);
+      cb.onblur = hideOptionCard;
+      // Found through an alias or the description: say so, since nothing in the text is highlighted
+      const via = q && !slotLabel(optText).toLowerCase().includes(q) ? metaMatch(cat, optText, q) : null;
+      if (via) {
+        const hint = document.createElement("div");
+        hint.className = "optionVia";
+        hint.textContent = via;
+        body.appendChild(hint);
+      }
+    }
+    if (cb.checked && hasSlots(optText)) body.appendChild(renderSlotInputs(cat, idx));
+
+    const side = document.createElement("div");
+    side.className = "optionSide";
+
+    // Weight control only makes sense for a token that's in the text
+    if (cb.checked) {
+      const w = document.createElement("input");
+      w.type = "number";
+      w.className = "input weightInput";
+      w.step = "0.1";
+      w.min = "0.1";
+      w.max = "5";
+      w.title = "Weight (1 = normal) — written as (option:weight)";
+      w.value = getOptionWeight(outputsByCatId[cat.id]?.text, optText, sepOf(cat), cat.options) ?? 1;
+      w.onchange = () => setWeight(cat.id, idx, Number(w.value));
+      side.appendChild(w);
+    }
 
-    const btns = document.createElement("div");
-    btns.className = "catBtns";
+    const fav = isFavorite(cat, optText);
+    const star = document.createElement("button");
+    star.type = "button";
+    star.className = `starBtn${fav ? " starOn" : ""}`;
+    star.textContent = fav ? "★" : "☆";
+    star.title = fav ? "Unstar" : "Star (favorites can be pinned to the top)";
+    star.onclick = (e) => { e.preventDefault(); toggleFavorite(cat.id, optText); };
+    side.appendChild(star);
+
+    row.appendChild(grip);
+    row.appendChild(cb);
+    row.appendChild(body);
+    row.appendChild(side);
+
+    opts.appendChild(row);
+  });
 
-    const btnAll = document.createElement("button");
-    btnAll.className = "iconBtn";
-    btnAll.textContent = isAllSelected(cat) ? "Clear" : "All";
-    btnAll.title = isAllSelected(cat) ? "Clear all selections" : "Select all options";
-    btnAll.onclick = () => toggleAll(cat.id);
+  wrap.appendChild(opts);
+  return wrap;
+}
 
-    const btnEdit = document.createElement("button");
-    btnEdit.className = "iconBtn";
-    btnEdit.textContent = "Edit";
-    btnEdit.onclick = () => openBulkModal(cat.id);
+// Inline fill-ins for a checked option's {slots}; values are read back from the output text
+function renderSlotInputs(cat, idx) {
+  const opt = cat.options[idx];
+  const values = getSlotValues(outputsByCatId[cat.id]?.text, opt, sepOf(cat), cat.options) || {};
+  const row = document.createElement("div");
+  row.className = "slotRow";
+
+  parseSlots(opt).forEach((slot) => {
+    const current = values[slot.name] || "";
+    let el;
+    if (slot.choices) {
+      el = document.createElement("select");
+      slot.choices.forEach((c) => {
+        const o = document.createElement("option");
+        o.value = c;
+        o.textContent = c;
+        el.appendChild(o);
+      });
+      el.value = current || slot.choices[0] || "";
+    } else {
+      el = document.createElement("input");
+      el.placeholder = slot.name;
+      el.value = current;
+    }
+    el.className = "input slotInput";
+    el.title = slot.name;
+    el.onchange = () => setSlot(cat.id, idx, slot.name, el.value);
+    row.appendChild(el);
+  });
+  return row;
+}
 
-    const btnDelCat = document.createElement("button");
-    btnDelCat.className = "iconBtn iconBtnDanger";
-    btnDelCat.textContent = "🗑";
-    btnDelCat.title = "Delete category";
-    btnDelCat.onclick = () => deleteCategory(cat.id);
+function renderOutputs() {
+  elOutputs.innerHTML = "";
+  state.categories.forEach(cat => elOutputs.appendChild(renderOutputBlock(cat)));
+  renderUndoButtons();
+}
 
-    btns.appendChild(btnAll);
-    btns.appendChild(btnEdit);
-    btns.appendChild(btnDelCat);
+function renderOutputBlock(cat) {
+  ensureOutputEntry(cat);
+  const outEntry = outputsByCatId[cat.id];
+
+  const block = document.createElement("div");
+  block.className = `outputBlock${isAudible(cat) ? "" : " outputMuted"}`;
+  block.dataset.outBlock = cat.id;
+
+  const top = document.createElement("div");
+  top.className = "outputTop";
+
+  const left = document.createElement("div");
+  const t = document.createElement("div");
+  t.className = "categoryName";
+  t.textContent = cat.name;
+  left.appendChild(t);
+
+  const metaParts = [];
+  if ((cat.selected || []).length) metaParts.push(`${(cat.selected || []).length} selected`);
+  if (cat.separator && cat.separator !== "comma") metaParts.push(sepOf(cat).label.toLowerCase());
+  if (cat.template) metaParts.push(cat.template);
+  if (!isAudible(cat)) metaParts.push(cat.muted && !cat.solo ? "muted" : "silenced by solo");
+  if (metaParts.length) {
+    const meta = document.createElement("div");
+    meta.className = "outputMeta";
+    meta.textContent = metaParts.join(" · ");
+    left.appendChild(meta);
+  }
 
-    top.appendChild(left);
-    top.appendChild(btns);
+  const actions = document.createElement("div");
+  actions.className = "outputActions";
+
+  const btnUndo = document.createElement("button");
+  btnUndo.className = "btn btnGhost";
+  btnUndo.textContent = "↶";
+  btnUndo.dataset.undoCat = cat.id;
+  btnUndo.onclick = () => undoOutput(cat.id);
+
+  const btnClear = document.createElement("button");
+  btnClear.className = "btn btnGhost";
+  btnClear.textContent = "Clear";
+  btnClear.title = "Clear this output text (also uncheck left options)";
+  btnClear.onclick = () => clearOutput(cat.id);
+
+  const btnCopy = document.createElement("button");
+  btnCopy.className = "btn";
+  btnCopy.textContent = "Copy";
+  btnCopy.disabled = !(outEntry.text || "").trim();
+  btnCopy.onclick = () => copyToClipboard(outEntry.text);
+
+  renderMixToggles(cat, "btn btnGhost").forEach(b => actions.appendChild(b));
+  actions.appendChild(btnUndo);
+  actions.appendChild(btnClear);
+  actions.appendChild(btnCopy);
+
+  top.appendChild(left);
+  top.appendChild(actions);
+
+  const ta = document.createElement("textarea");
+  ta.className = "textarea";
+  ta.rows = 4;
+  ta.placeholder = "Select options on the left…";
+  ta.value = outEntry.text || "";
+  ta.dataset.cat = cat.id;
+
+  // Right textarea is source-of-truth:
+  // - Update output text
+  // - Reconcile left selection from exact option tokens in text
+  ta.addEventListener("input", () => {
+    const v = ta.value;
+    outEntry.text = v;
+
+    // This is the key: user-edited tokens that no longer match options => left unchecks automatically
+    reconcileSelectionFromText(cat, v);
+
+    // Typing coalesces into one undo step; a separator or line break closes it
+    persist(`Edit ${cat.name}`, { coalesce: `type:${cat.id}`, seal: new RegExp(`(?:${sepOf(cat).re}|\\n)$`).test(v.slice(0, ta.selectionStart)) });
+    renderCategories();     // reflect auto-unchecks immediately
+    updateSummary();
+    btnCopy.disabled = !(v || "").trim();
+    setMeter(meter, v, targetLimit());
+  });
 
-    const opts = document.createElement("div");
-    opts.className = "options";
+  const meter = document.createElement("div");
+  meter.className = "meter";
+  setMeter(meter, outEntry.text, targetLimit());
 
-    cat.options.forEach((optText, idx) => {
-      const row = document.createElement("label");
-      row.className = "optionRow";
+  block.appendChild(top);
+  if (syncConflicts[cat.id] !== undefined) block.appendChild(renderSyncConflict(cat));
+  block.appendChild(ta);
+  block.appendChild(renderTokenChips(cat, outEntry.text));
+  block.appendChild(meter);
+  return block;
+}
 
-      const cb = document.createElement("input");
-      cb.type = "checkbox";
-      cb.checked = (cat.selected || []).includes(idx);
-      cb.onchange = () => toggleOption(cat.id, idx, cb.checked);
+// ---------- Left interactions ----------
 
-      const text = document.createElement("div");
-      text.className = "optionText";
-      text.textContent = optText;
+function toggleOption(catId, idx, checked) {
+  const cat = state.categories.find(c => c.id === catId);
+  if (!cat) return;
 
-      row.appendChild(cb);
-      row.appendChild(text);
+  applyLeftToggle(cat, idx, checked);
+  if (checked) enforceRules(cat, cat.options[idx]);
 
-      opts.appendChild(row);
+  persist(`${checked ? "Check" : "Uncheck"} “${slotLabel(cat.options[idx])}”`);
+  renderCategories();
+  renderOutputs(); // ok to rerender after checkbox click
+  updateSummary();
+}
+
+function setSlot(catId, idx, slotName, value) {
+  const cat = state.categories.find(c => c.id === catId);
+  const opt = cat && (cat.options || [])[idx];
+  if (!opt) return;
+  ensureOutputEntry(cat);
+  const out = outputsByCatId[cat.id];
+
+  const prev = out.text || "";
+  out.text = setSlotValue(prev, opt, slotName, value, sepOf(cat), cat.options);
+  reconcileSelectionFromText(cat, out.text);
+
+  persist(`Fill {${slotName}}`);
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+}
+
+function setWeight(catId, idx, weight) {
+  const cat = state.categories.find(c => c.id === catId);
+  const opt = cat && (cat.options || [])[idx];
+  if (!opt || !Number.isFinite(weight) || weight <= 0) return renderCategories();
+  ensureOutputEntry(cat);
+  const out = outputsByCatId[cat.id];
+
+  const prev = out.text || "";
+  out.text = setOptionWeight(prev, opt, weight, sepOf(cat), cat.options);
+  reconcileSelectionFromText(cat, out.text);
+
+  persist(`Weight “${slotLabel(opt)}”`);
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+}
+
+function toggleAll(catId) {
+  const cat = state.categories.find(c => c.id === catId);
+  if (!cat) return;
+  const total = (cat.options || []).length;
+  if (!total) return;
+
+  const selectAll = !isAllSelected(cat);
+  applyLeftAllClear(cat, selectAll);
+
+  persist(`${selectAll ? "Select all" : "Clear"} in ${cat.name}`);
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+}
+
+function toggleCollapsed(catId) {
+  const collapsed = getUiPrefs().collapsed;
+  setUiPrefs({ collapsed: collapsed.includes(catId) ? collapsed.filter(id => id !== catId) : [...collapsed, catId] });
+  renderCategories();
+}
+
+function toggleFavorite(catId, opt) {
+  const cat = state.categories.find(c => c.id === catId);
+  if (!cat) return;
+  cat.favorites = isFavorite(cat, opt) ? cat.favorites.filter(o => o !== opt) : [...(cat.favorites || []), opt];
+  persist("Favorite");
+  renderCategories();
+}
+
+function deleteCategory(catId) {
+  const cat = state.categories.find(c => c.id === catId);
+  if (!cat) return;
+  if (!confirm(`Delete category?\n\n${cat.name}`)) return;
+
+  state.categories = state.categories.filter(c => c.id !== catId);
+  delete outputsByCatId[catId];
+  persist(`Delete category “${cat.name}”`);
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+}
+
+function randomId() { return "cat_" + Math.random().toString(16).slice(2, 10); }
+function addCategory() {
+  const name = prompt("Category name:", "New Category");
+  if (!name) return;
+  const id = randomId();
+  state.categories.unshift({ id, name: name.trim() || "New Category", options: [], selected: [] });
+  outputsByCatId[id] = { text: "" };
+  persist(`Add category “${state.categories[0].name}”`);
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+}
+
+// ---------- Bulk modal ----------
+
+function openBulkModal(catId) {
+  const cat = state.categories.find(c => c.id === catId);
+  if (!cat) return;
+  modalCatId = catId;
+  modalCategoryName.value = cat.name;
+  modalLines.value = optionLines(cat);
+  modalNegative.checked = isNegativeCategory(cat);
+  modalSeparator.value = SEPARATORS[cat.separator] ? cat.separator : "comma";
+  modalTemplate.value = cat.template || "";
+  modalOverlay.classList.remove("hidden");
+  modalCategoryName.focus();
+  modalCategoryName.select();
+}
+function closeBulkModal() { modalOverlay.classList.add("hidden"); modalCatId = null; }
+
+function saveBulkModal() {
+  const cat = state.categories.find(c => c.id === modalCatId);
+  if (!cat) return;
+  cat.name = modalCategoryName.value.trim() || cat.name;
+  const { options: lines, meta } = parseOptionLines(modalLines.value);
+
+  // A new separator re-joins the existing text (split with the old options, so none is cut apart)
+  const from = sepOf(cat);
+  if (modalSeparator.value === "comma") delete cat.separator;
+  else cat.separator = modalSeparator.value;
+  ensureOutputEntry(cat);
+  const out = outputsByCatId[cat.id];
+  if (sepOf(cat) !== from) out.text = convertSeparator(out.text, [...new Set([...(cat.options || []), ...lines])], from, sepOf(cat));
+
+  const tpl = modalTemplate.value.trim().replace(/\.\.\./g, "…");
+  if (tpl) cat.template = tpl;
+  else delete cat.template;
+
+  cat.options = lines;
+  if (Object.keys(meta).length) cat.meta = meta;
+  else delete cat.meta;
+  if (cat.favorites) cat.favorites = cat.favorites.filter(o => lines.includes(o));
+  if (modalNegative.checked) cat.role = "negative";
+  else delete cat.role;
+
+  // After options list changes, any existing right text token that no longer matches options
+  // becomes custom automatically; and selection must be reconciled from current right text.
+  reconcileSelectionFromText(cat, out.text || "");
+
+  persist(`Edit category “${cat.name}”`);
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+  closeBulkModal();
+}
+
+function deleteFromModal() { const id = modalCatId; closeBulkModal(); deleteCategory(id); }
+
+// ---------- Presets ----------
+
+// Whatever is left once every exact option token is removed = the category's custom tokens
+function customRemainder(cat, text) {
+  let rest = text || "";
+  for (const o of (cat.options || []).filter(Boolean)) rest = removeOptionToken(rest, o, sepOf(cat), cat.options);
+  return rest.trim();
+}
+
+function capturePreset(name) {
+  const cats = {};
+  state.categories.forEach((cat) => {
+    const text = outputsByCatId[cat.id]?.text || "";
+    const sep = sepOf(cat);
+    const options = (cat.options || []).filter(o => o && hasOptionToken(text, o, sep, cat.options));
+    const custom = customRemainder(cat, text);
+    // tokens: the written form of options that carry a weight or slot fills
+    const tokens = {};
+    options.forEach((o) => { const t = optionToken(text, o, sep, cat.options); if (t !== o) tokens[o] = t; });
+    if (options.length || custom) cats[cat.id] = { name: cat.name, options, tokens, custom };
+  });
+  return { id: "p_" + Math.random().toString(16).slice(2, 10), name, cats };
+}
+
+function presetEntryFor(preset, cat) {
+  return preset.cats[cat.id] || Object.values(preset.cats).find(e => e.name === cat.name) || null;
+}
+
+// mode "replace": the preset becomes the whole selection (categories it doesn't mention are cleared)
+// mode "merge": preset options/custom tokens are added to what's already there
+function applyPreset(presetId, mode) {
+  const preset = loadPresets().find(p => p.id === presetId);
+  if (!preset) return;
+
+  state.categories.forEach((cat) => {
+    const entry = presetEntryFor(preset, cat);
+    if (mode === "merge" && !entry) return;
+
+    ensureOutputEntry(cat);
+    const out = outputsByCatId[cat.id];
+    const sep = sepOf(cat);
+    if (mode === "replace") out.text = "";
+    reconcileSelectionFromText(cat, out.text);
+
+    ((entry && entry.options) || []).forEach((opt) => {
+      const idx = (cat.options || []).indexOf(opt);
+      const token = entry.tokens && entry.tokens[opt];
+      if (idx < 0) {
+        // option since removed => kept as custom token
+        if (!hasOptionToken(out.text, token || opt, sep)) out.text = addOptionToken(out.text, token || opt, sep);
+        return;
+      }
+      applyLeftToggle(cat, idx, true);
+      if (token) out.text = rewriteOptionToken(out.text, opt, () => parseWeighted(token), sep, cat.options);
     });
+    // one token at a time, so a merge doesn't repeat custom tokens that are already there
+    if (entry && entry.custom) splitTokens(entry.custom, [], sep).forEach((t) => { out.text = addOptionToken(out.text, t, sep); });
+    reconcileSelectionFromText(cat, out.text);
+  });
+
+  persist(`Apply preset “${preset.name}”`);
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+}
+
+function savePresetFromCurrent() {
+  const name = prompt("Preset name:", "New preset");
+  if (!name || !name.trim()) return;
+  const preset = capturePreset(name.trim());
+  if (!Object.keys(preset.cats).length) return alert("Nothing selected yet. Pick some options first.");
+  const list = loadPresets();
+  list.unshift(preset);
+  savePresets(list);
+  renderPresets();
+}
+
+function renamePreset(presetId) {
+  const list = loadPresets();
+  const p = list.find(x => x.id === presetId);
+  if (!p) return;
+  const name = prompt("Rename preset:", p.name);
+  if (!name || !name.trim()) return;
+  p.name = name.trim();
+  savePresets(list);
+  renderPresets();
+}
+
+function duplicatePreset(presetId) {
+  const list = loadPresets();
+  const i = list.findIndex(x => x.id === presetId);
+  if (i < 0) return;
+  const copy = JSON.parse(JSON.stringify(list[i]));
+  copy.id = "p_" + Math.random().toString(16).slice(2, 10);
+  copy.name = `${list[i].name} (copy)`;
+  list.splice(i + 1, 0, copy);
+  savePresets(list);
+  renderPresets();
+}
+
+function deletePreset(presetId) {
+  const list = loadPresets();
+  const p = list.find(x => x.id === presetId);
+  if (!p || !confirm(`Delete preset?\n\n${p.name}`)) return;
+  savePresets(list.filter(x => x.id !== presetId));
+  renderPresets();
+}
+
+function togglePresetsPanel() {
+  presetsPanel.classList.toggle("hidden");
+  btnPresets.classList.toggle("btnActive", !presetsPanel.classList.contains("hidden"));
+  renderPresets();
+}
+
+function renderPresets() {
+  if (presetsPanel.classList.contains("hidden")) return;
+  presetsPanel.innerHTML = "";
+
+  const head = document.createElement("div");
+  head.className = "presetsHead";
+  const hint = document.createElement("div");
+  hint.className = "tinyHint";
+  const list = loadPresets();
+  hint.textContent = list.length ? `${list.length} preset(s)` : "No presets yet.";
+  const bNew = document.createElement("button");
+  bNew.className = "iconBtn";
+  bNew.textContent = "Save current";
+  bNew.title = "Save the current selections and custom tokens as a preset";
+  bNew.onclick = savePresetFromCurrent;
+  head.appendChild(hint);
+  head.appendChild(bNew);
+  presetsPanel.appendChild(head);
+
+  list.forEach((p) => {
+    const row = document.createElement("div");
+    row.className = "presetRow";
+
+    const name = document.createElement("div");
+    name.className = "presetName";
+    name.textContent = p.name;
+    name.title = Object.values(p.cats).map(e => `${e.name}: ${e.options.length} option(s)${e.custom ? " + custom" : ""}`).join("\n");
+
+    const btns = document.createElement("div");
+    btns.className = "catBtns";
+    const mk = (label, title, fn, cls = "iconBtn") => {
+      const b = document.createElement("button");
+      b.className = cls;
+      b.textContent = label;
+      b.title = title;
+      b.onclick = fn;
+      btns.appendChild(b);
+    };
+    mk("Apply", "Replace current outputs with this preset", () => applyPreset(p.id, "replace"));
+    mk("Merge", "Add this preset's options to the current outputs", () => applyPreset(p.id, "merge"));
+    mk("Rename", "Rename preset", () => renamePreset(p.id));
+    mk("Dup", "Duplicate preset", () => duplicatePreset(p.id));
+    mk("🗑", "Delete preset", () => deletePreset(p.id), "iconBtn iconBtnDanger");
+
+    row.appendChild(name);
+    row.appendChild(btns);
+    presetsPanel.appendChild(row);
+  });
+}
+
+// ---------- Shuffle / variations ----------
+
+const DEFAULT_SHUFFLE = { min: 1, max: 2, locked: false };
+function shuffleCfg(cat) {
+  const c = { ...DEFAULT_SHUFFLE, ...(cat.shuffle || {}) };
+  const total = (cat.options || []).filter(Boolean).length;
+  const max = Math.min(cat.single ? 1 : total, Math.max(0, Math.floor(c.max)));
+  const min = Math.min(max, Math.max(0, Math.floor(c.min)));
+  return { min, max, locked: !!c.locked };
+}
+
+// Random distinct option indexes within the category's min/max
+function pickRandom(cat) {
+  const { min, max } = shuffleCfg(cat);
+  const n = min + Math.floor(Math.random() * (max - min + 1));
+  const pool = (cat.options || []).map((o, i) => (o ? i : -1)).filter(i => i >= 0);
+  for (let i = pool.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, n).sort((a, b) => a - b);
+}
+
+// Re-roll every unlocked category in the editor; custom tokens stay, one undo step overall
+function shuffleAll() {
+  state.categories.forEach((cat) => {
+    if (shuffleCfg(cat).locked || !(cat.options || []).length) return;
+    const picks = pickRandom(cat);
+    applyLeftAllClear(cat, false);
+    picks.forEach(i => applyLeftToggle(cat, i, true));
+  });
+
+  persist("Shuffle");
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+}
+
+// One variation's output texts, computed off to the side (the editor is not touched)
+function variationTexts() {
+  const texts = {};
+  state.categories.forEach((cat) => {
+    const current = outputsByCatId[cat.id]?.text || "";
+    if (shuffleCfg(cat).locked || !(cat.options || []).length) return (texts[cat.id] = current);
+    let next = customRemainder(cat, current);
+    pickRandom(cat).forEach((i) => { next = addOptionToken(next, cat.options[i], sepOf(cat), cat.options); });
+    texts[cat.id] = next;
+  });
+  return texts;
+}
+
+// Build K distinct summaries and save them all to today's history in one go
+function generateVariations(k) {
+  const count = Math.max(1, Math.min(50, Math.floor(Number(k)) || 1));
+  const seen = new Set();
+  const items = [];
+  for (let attempt = 0; items.length < count && attempt < count * 20; attempt++) {
+    const texts = variationTexts();
+    const summary = joinSummary(buildSummary(texts));
+    if (!summary || seen.has(summary)) continue;
+    seen.add(summary);
+    items.push(makeSnapshot(summary, texts));
+  }
+  if (!items.length) return alert("Nothing to generate. Add options or unlock some categories first.");
+
+  const hist = getHistory();
+  hist.unshift(...items.reverse());
+  setHistory(hist);
+  pruneHistory();
+  alert(items.length < count
+    ? `Saved ${items.length} distinct variation(s) to history (not enough options for ${count}).`
+    : `Saved ${items.length} variation(s) to history.`);
+}
+
+function openShuffle() {
+  renderShuffleRows();
+  shuffleOverlay.classList.remove("hidden");
+}
+function closeShuffle() { shuffleOverlay.classList.add("hidden"); }
+
+function renderShuffleRows() {
+  shuffleRows.innerHTML = "";
+  state.categories.forEach((cat) => {
+    const cfg = shuffleCfg(cat);
+    const total = (cat.options || []).filter(Boolean).length;
+
+    const row = document.createElement("div");
+    row.className = "shuffleRow";
+
+    const name = document.createElement("div");
+    name.className = "shuffleName";
+    name.textContent = cat.name;
+
+    const mkNum = (key, value) => {
+      const el = document.createElement("input");
+      el.type = "number";
+      el.className = "input inputTiny";
+      el.min = "0";
+      el.max = String(total);
+      el.value = value;
+      el.title = `${key} options picked (of ${total})`;
+      el.disabled = cfg.locked;
+      el.onchange = () => updateShuffleCfg(cat.id, { [key]: Number(el.value) });
+      return el;
+    };
+
+    const lock = document.createElement("label");
+    lock.className = "check";
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.checked = cfg.locked;
+    cb.onchange = () => updateShuffleCfg(cat.id, { locked: cb.checked });
+    lock.appendChild(cb);
+    lock.appendChild(document.createTextNode("Lock"));
+
+    row.appendChild(name);
+    row.appendChild(mkNum("min", cfg.min));
+    row.appendChild(mkNum("max", cfg.max));
+    row.appendChild(lock);
+    shuffleRows.appendChild(row);
+  });
+}
+
+function updateShuffleCfg(catId, patch) {
+  const cat = state.categories.find(c => c.id === catId);
+  if (!cat) return;
+  const next = { ...DEFAULT_SHUFFLE, ...(cat.shuffle || {}), ...patch };
+  if (patch.min !== undefined && next.max < next.min) next.max = next.min;
+  if (patch.max !== undefined && next.min > next.max) next.min = next.max;
+  cat.shuffle = next;
+  persist("Shuffle settings");
+  renderShuffleRows();
+}
+
+// ---------- Rules ----------
+
+/**
+ * state.rules: [{ type: "excludes" | "requires", a: { cat, option }, b: { cat, option } }]
+ *   excludes — a and b can't both be picked (symmetric)
+ *   requires — picking a also needs b
+ * cat.single: one-of category (at most one option).
+ * state.ruleMode: "auto" fixes things up when an option is checked; "warn" only lists conflicts.
+ */
+const RULE_TYPES = { excludes: "excludes", requires: "requires" };
+function getRuleMode() { return state.ruleMode === "warn" ? "warn" : "auto"; }
+
+// { cat, idx } for a rule side, or null when the category/option no longer exists
+function resolveRef(ref) {
+  const cat = ref && state.categories.find(c => c.id === ref.cat);
+  const idx = cat ? (cat.options || []).indexOf(ref.option) : -1;
+  return idx >= 0 ? { cat, idx } : null;
+}
+function isPicked(cat, opt) { return hasOptionToken(outputsByCatId[cat.id]?.text, opt, sepOf(cat), cat.options); }
+function refLabel(ref) {
+  const cat = state.categories.find(c => c.id === ref.cat);
+  return `${cat ? cat.name : ref.cat} → ${slotLabel(ref.option)}`;
+}
+
+// Auto-fix after `opt` was checked: uncheck exclusions / one-of siblings, check requirements
+function enforceRules(cat, opt, seen = new Set()) {
+  if (getRuleMode() !== "auto") return;
+  seen.add(`${cat.id}\u0001${opt}`);
+
+  if (cat.single) {
+    cat.options.forEach((o, i) => { if (o !== opt && isPicked(cat, o)) applyLeftToggle(cat, i, false); });
+  }
+
+  (state.rules || []).forEach((r) => {
+    const a = resolveRef(r.a);
+    const b = resolveRef(r.b);
+    if (!a || !b) return;
+    const isA = a.cat === cat && a.cat.options[a.idx] === opt;
+    const isB = b.cat === cat && b.cat.options[b.idx] === opt;
+
+    if (r.type === "excludes" && (isA || isB)) {
+      const other = isA ? b : a;
+      if (isPicked(other.cat, other.cat.options[other.idx])) applyLeftToggle(other.cat, other.idx, false);
+    }
+    if (r.type === "requires" && isA) {
+      const need = b.cat.options[b.idx];
+      if (!isPicked(b.cat, need)) {
+        applyLeftToggle(b.cat, b.idx, true);
+        if (!seen.has(`${b.cat.id}\u0001${need}`)) enforceRules(b.cat, need, seen);
+      }
+    }
+  });
+}
+
+// Conflicts present in the current output texts (custom edits can bring them back)
+function lintRules() {
+  const problems = [];
+  state.categories.forEach((cat) => {
+    if (!cat.single) return;
+    const picked = (cat.options || []).filter(o => o && isPicked(cat, o));
+    if (picked.length > 1) problems.push(`${cat.name}: pick one only (${picked.length} picked).`);
+  });
+  (state.rules || []).forEach((r) => {
+    const a = resolveRef(r.a);
+    const b = resolveRef(r.b);
+    if (!a || !b) return;
+    const hasA = isPicked(a.cat, r.a.option);
+    const hasB = isPicked(b.cat, r.b.option);
+    if (r.type === "excludes" && hasA && hasB) problems.push(`“${slotLabel(r.a.option)}” conflicts with “${slotLabel(r.b.option)}”.`);
+    if (r.type === "requires" && hasA && !hasB) problems.push(`“${slotLabel(r.a.option)}” requires “${slotLabel(r.b.option)}”.`);
+  });
+  return problems;
+}
+
+function renderLint() {
+  const problems = lintRules();
+  elLint.innerHTML = "";
+  elLint.classList.toggle("hidden", !problems.length);
+  problems.forEach((p) => {
+    const d = document.createElement("div");
+    d.className = "lintItem";
+    d.textContent = `⚠ ${p}`;
+    elLint.appendChild(d);
+  });
+}
+
+function openRules() {
+  renderRules();
+  rulesOverlay.classList.remove("hidden");
+}
+function closeRules() { rulesOverlay.classList.add("hidden"); }
+
+function optionSelect(ref) {
+  const sel = document.createElement("select");
+  sel.className = "input ruleSelect";
+  state.categories.forEach((cat) => {
+    const group = document.createElement("optgroup");
+    group.label = cat.name;
+    (cat.options || []).filter(Boolean).forEach((o) => {
+      const el = document.createElement("option");
+      el.value = JSON.stringify({ cat: cat.id, option: o });
+      el.textContent = slotLabel(o);
+      group.appendChild(el);
+    });
+    sel.appendChild(group);
+  });
+  if (ref) {
+    const v = JSON.stringify({ cat: ref.cat, option: ref.option });
+    if (![...sel.options].some(o => o.value === v)) {
+      const stale = document.createElement("option");
+      stale.value = v;
+      stale.textContent = `(missing) ${refLabel(ref)}`;
+      sel.insertBefore(stale, sel.firstChild);
+    }
+    sel.value = v;
+  }
+  return sel;
+}
+
+function renderRules() {
+  ruleModeSelect.value = getRuleMode();
+
+  ruleSingles.innerHTML = "";
+  state.categories.forEach((cat) => {
+    const label = document.createElement("label");
+    label.className = "check";
+    const cb = document.createElement("input");
+    cb.type = "checkbox";
+    cb.checked = !!cat.single;
+    cb.onchange = () => {
+      if (cb.checked) cat.single = true;
+      else delete cat.single;
+      commitRules();
+    };
+    label.appendChild(cb);
+    label.appendChild(document.createTextNode(cat.name));
+    ruleSingles.appendChild(label);
+  });
+
+  ruleList.innerHTML = "";
+  if (!(state.rules || []).length) {
+    const empty = document.createElement("div");
+    empty.className = "tinyHint";
+    empty.textContent = "No rules yet.";
+    ruleList.appendChild(empty);
+  }
+  (state.rules || []).forEach((r, i) => {
+    const row = document.createElement("div");
+    row.className = "ruleRow";
+    if (!resolveRef(r.a) || !resolveRef(r.b)) row.classList.add("ruleStale");
+
+    const a = optionSelect(r.a);
+    a.onchange = () => { r.a = JSON.parse(a.value); commitRules(); };
+    const type = document.createElement("select");
+    type.className = "input ruleType";
+    Object.entries(RULE_TYPES).forEach(([v, label]) => {
+      const o = document.createElement("option");
+      o.value = v;
+      o.textContent = label;
+      type.appendChild(o);
+    });
+    type.value = r.type;
+    type.onchange = () => { r.type = type.value; commitRules(); };
+    const b = optionSelect(r.b);
+    b.onchange = () => { r.b = JSON.parse(b.value); commitRules(); };
+
+    const del = document.createElement("button");
+    del.className = "iconBtn iconBtnDanger";
+    del.textContent = "🗑";
+    del.title = "Delete rule";
+    del.onclick = () => { state.rules.splice(i, 1); commitRules(); };
+
+    row.appendChild(a);
+    row.appendChild(type);
+    row.appendChild(b);
+    row.appendChild(del);
+    ruleList.appendChild(row);
+  });
+}
+
+function addRule() {
+  const firstTwo = state.categories.flatMap(c => (c.options || []).filter(Boolean).map(o => ({ cat: c.id, option: o }))).slice(0, 2);
+  if (firstTwo.length < 2) return alert("Add some options first.");
+  state.rules = state.rules || [];
+  state.rules.push({ type: "excludes", a: firstTwo[0], b: firstTwo[1] });
+  commitRules();
+}
+
+function commitRules() {
+  persist("Edit rules");
+  renderRules();
+  renderCategories();
+  renderLint();
+}
+
+// ---------- Drag & drop reordering ----------
+
+let dragItem = null; // { type: "cat" | "opt" | "tok", catId, idx }
+
+function makeDraggable(handle, payload) {
+  handle.draggable = true;
+  handle.addEventListener("dragstart", (e) => {
+    dragItem = payload;
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", "");
+    e.stopPropagation();
+  });
+  handle.addEventListener("dragend", () => { dragItem = null; clearDropMarks(); });
+}
+
+// axis "y" for stacked rows, "x" for inline chips
+function makeDropTarget(el, accepts, onDrop, axis = "y") {
+  const isAfter = (e) => {
+    const r = el.getBoundingClientRect();
+    return axis === "x" ? e.clientX > r.left + r.width / 2 : e.clientY > r.top + r.height / 2;
+  };
+  el.addEventListener("dragover", (e) => {
+    if (!dragItem || !accepts(dragItem)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const after = isAfter(e);
+    el.classList.toggle("dropBefore", !after);
+    el.classList.toggle("dropAfter", after);
+  });
+  el.addEventListener("dragleave", () => el.classList.remove("dropBefore", "dropAfter"));
+  el.addEventListener("drop", (e) => {
+    if (!dragItem || !accepts(dragItem)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const item = dragItem;
+    dragItem = null;
+    clearDropMarks();
+    onDrop(item, isAfter(e));
+  });
+}
+function clearDropMarks() {
+  document.querySelectorAll(".dropBefore, .dropAfter").forEach(el => el.classList.remove("dropBefore", "dropAfter"));
+}
+
+// Move arr[from] to sit before (or after) what is currently arr[target]
+function moveItem(arr, from, target, after) {
+  let to = target + (after ? 1 : 0);
+  if (from < to) to--;
+  if (to === from) return false;
+  arr.splice(to, 0, arr.splice(from, 1)[0]);
+  return true;
+}
+
+function moveCategory(fromId, toId, after) {
+  const from = state.categories.findIndex(c => c.id === fromId);
+  const target = state.categories.findIndex(c => c.id === toId);
+  if (from < 0 || target < 0) return;
+  if (!moveItem(state.categories, from, target, after)) return;
+
+  persist("Reorder categories");
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+  // the toast only undoes the reorder itself, not whatever was done after it
+  const step = undoStack[undoStack.length - 1];
+  showToast("Categories reordered.", "Undo", () => { if (undoStack[undoStack.length - 1] === step) undo(); });
+}
+
+// Option order is part of the category, so it shows up in the category's ↶ steps
+function moveOption(catId, from, target, after) {
+  const cat = state.categories.find(c => c.id === catId);
+  if (!cat) return;
+  ensureOutputEntry(cat);
+  const out = outputsByCatId[cat.id];
+  if (!moveItem(cat.options, from, target, after)) return;
+  reconcileSelectionFromText(cat, out.text);
+
+  persist(`Reorder options in ${cat.name}`);
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+}
+
+// Reorder tokens inside an output; the text is rebuilt with the category's separator
+function moveToken(catId, from, target, after) {
+  const cat = state.categories.find(c => c.id === catId);
+  const out = outputsByCatId[catId];
+  if (!cat || !out) return;
+  const tokens = splitTokens(out.text, cat.options, sepOf(cat));
+  if (!moveItem(tokens, from, target, after)) return;
+
+  out.text = joinTokens(tokens, sepOf(cat));
+  reconcileSelectionFromText(cat, out.text);
+
+  persist(`Reorder ${cat.name}`);
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+}
+
+function renderTokenChips(cat, text) {
+  const tokens = splitTokens(text, cat.options, sepOf(cat));
+  const row = document.createElement("div");
+  row.className = "tokenChips";
+  if (tokens.length < 2) return row;
+  tokens.forEach((tok, i) => {
+    const chip = document.createElement("span");
+    chip.className = "tokenChip";
+    chip.textContent = tok;
+    chip.title = "Drag to reorder";
+    makeDraggable(chip, { type: "tok", catId: cat.id, idx: i });
+    makeDropTarget(chip, d => d.type === "tok" && d.catId === cat.id, (d, after) => moveToken(cat.id, d.idx, i, after), "x");
+    row.appendChild(chip);
+  });
+  return row;
+}
+
+// ---------- Toast ----------
+
+let toastTimer = null;
+function showToast(message, actionLabel, action, ms = 6000) {
+  const el = document.getElementById("toast");
+  el.innerHTML = "";
+  const msg = document.createElement("span");
+  msg.textContent = message;
+  el.appendChild(msg);
+  if (actionLabel && action) {
+    const b = document.createElement("button");
+    b.className = "btn btnGhost";
+    b.textContent = actionLabel;
+    b.onclick = () => { hideToast(); action(); };
+    el.appendChild(b);
+  }
+  el.classList.remove("hidden");
+  clearTimeout(toastTimer);
+  if (ms) toastTimer = setTimeout(hideToast, ms);
+}
+function hideToast() { document.getElementById("toast").classList.add("hidden"); }
+
+// ---------- Output actions ----------
+
+function clearOutput(catId) {
+  const cat = state.categories.find(c => c.id === catId);
+  const out = outputsByCatId[catId];
+  if (!cat || !out) return;
+
+  out.text = "";
+
+  // Clear means: also uncheck all (since right is source)
+  reconcileSelectionFromText(cat, "");
+
+  persist(`Clear ${cat.name}`);
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+}
+
+// ---------- Mute / solo ----------
+
+// cat.muted / cat.solo keep a category out of (or alone in) the summary; its text stays untouched.
+// Once any category is soloed, every category that isn't is silent.
+function isAudible(cat) {
+  return state.categories.some(c => c.solo) ? !!cat.solo : !cat.muted;
+}
+
+function toggleMix(catId, flag) {
+  const cat = state.categories.find(c => c.id === catId);
+  if (!cat) return;
+  if (cat[flag]) delete cat[flag];
+  else cat[flag] = true;
+
+  const verb = flag === "solo" ? (cat.solo ? "Solo" : "Unsolo") : (cat.muted ? "Mute" : "Unmute");
+  persist(`${verb} ${cat.name}`);
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+}
+
+// M / S buttons, shared by the category header and the output block
+function renderMixToggles(cat, cls) {
+  const make = (flag, label, on, off) => {
+    const b = document.createElement("button");
+    b.className = `${cls} mixBtn${cat[flag] ? " mixOn" : ""}`;
+    b.textContent = label;
+    b.title = cat[flag] ? on : off;
+    b.setAttribute("aria-pressed", String(!!cat[flag]));
+    b.onclick = (e) => { e.stopPropagation(); toggleMix(cat.id, flag); };
+    return b;
+  };
+  return [
+    make("muted", "M", "Unmute: put back into the summary", "Mute: leave out of the summary (text is kept)"),
+    make("solo", "S", "Unsolo", "Solo: the summary uses only soloed categories"),
+  ];
+}
+
+// ---------- Undo / redo ----------
+
+/**
+ * One shared history for the library and the outputs. persist() compares the current state with
+ * the last checkpoint and records the difference as a step:
+ *   { label, time, cats:[catId] | null, before, after, coalesce?, sealed? }
+ * - cats set: only those categories changed; before/after = { [catId]: { cat: json, text } }.
+ *   Undoing puts back just the fields this step changed.
+ * - cats null: order, rules or the category set changed; before/after are whole checkpoints.
+ * - reverts: set on a step recorded by an output's ↶; the step whose change it took back in that
+ *   one category (↶ never rewrites the stack, it adds a step that Ctrl+Z can undo like any other).
+ * `cat.selected` is derived from the text and is never part of a step.
+ */
+const UNDO_LIMIT = 200;
+const COALESCE_MS = 1000;
+let undoStack = [];
+let redoStack = [];
+let checkpoint = null;
+
+function captureCheckpoint() {
+  const { categories, ...rest } = state;
+  const cats = {};
+  const texts = {};
+  categories.forEach((c) => {
+    const { selected, ...def } = c;
+    cats[c.id] = JSON.stringify(def);
+    texts[c.id] = outputsByCatId[c.id]?.text || "";
+  });
+  return { meta: JSON.stringify(rest), order: categories.map(c => c.id), cats, texts };
+}
+
+// Start a fresh history from the current state (boot)
+function resetUndoHistory() {
+  undoStack = [];
+  redoStack = [];
+  checkpoint = captureCheckpoint();
+  renderUndoButtons();
+}
+
+// opts.coalesce: steps with the same key within COALESCE_MS merge; opts.seal closes the merged step
+function recordStep(label, opts = {}) {
+  if (!checkpoint) return;
+  const before = checkpoint;
+  const after = captureCheckpoint();
+  checkpoint = after;
+
+  let step;
+  if (before.meta !== after.meta || before.order.join("\u0001") !== after.order.join("\u0001")) {
+    step = { cats: null, before, after };
+  } else {
+    const cats = after.order.filter(id => before.cats[id] !== after.cats[id] || before.texts[id] !== after.texts[id]);
+    if (!cats.length) return;
+    const pick = cp => Object.fromEntries(cats.map(id => [id, { cat: cp.cats[id], text: cp.texts[id] }]));
+    step = { cats, before: pick(before), after: pick(after) };
+  }
+
+  const top = undoStack[undoStack.length - 1];
+  const now = Date.now();
+  if (opts.coalesce && top && top.coalesce === opts.coalesce && !top.sealed && now - top.time < COALESCE_MS
+    && step.cats && top.cats && step.cats.join() === top.cats.join()) {
+    top.after = step.after;
+    top.time = now;
+    top.sealed = !!opts.seal;
+  } else {
+    undoStack.push({ label: label || "Edit", time: now, coalesce: opts.coalesce || null, sealed: !!opts.seal, reverts: opts.reverts || null, ...step });
+    if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+  }
+  redoStack = [];
+  renderUndoButtons();
+}
+
+// Another tab changed the editor: steps that would put back this tab's older copy of what changed
+// (whole-state steps, and every step on a category that changed) are dropped from both stacks
+function rebaseUndoHistory() {
+  const before = checkpoint;
+  checkpoint = captureCheckpoint();
+  if (!before) return;
+  const ids = new Set([...Object.keys(before.cats), ...Object.keys(checkpoint.cats)]);
+  const changed = [...ids].filter(id => before.cats[id] !== checkpoint.cats[id] || before.texts[id] !== checkpoint.texts[id]);
+  const keep = step => step.cats && !step.cats.some(id => changed.includes(id));
+  undoStack = undoStack.filter(keep);
+  redoStack = redoStack.filter(keep);
+  renderUndoButtons();
+}
+
+// Put one side ("before" | "after") of a step back into the editor
+function applyStep(step, side) {
+  if (!step.cats) {
+    const cp = step[side];
+    state = { ...JSON.parse(cp.meta), categories: cp.order.map(id => ({ ...JSON.parse(cp.cats[id]), selected: [] })) };
+    outputsByCatId = Object.fromEntries(cp.order.map(id => [id, { text: cp.texts[id] }]));
+    normalizeState();
+    return;
+  }
+  step.cats.forEach(id => applyCatSide(step, side, id));
+}
+
+// One category's share of a step: only the fields (and text) the step changed
+function applyCatSide(step, side, id) {
+  const other = side === "before" ? "after" : "before";
+  const cat = state.categories.find(c => c.id === id);
+  if (!cat) return; // deleted since
+  const to = JSON.parse(step[side][id].cat);
+  const from = JSON.parse(step[other][id].cat);
+  new Set([...Object.keys(to), ...Object.keys(from)]).forEach((k) => {
+    if (JSON.stringify(to[k]) === JSON.stringify(from[k])) return;
+    if (to[k] === undefined) delete cat[k];
+    else cat[k] = to[k];
+  });
+  if (step[side][id].text !== step[other][id].text) {
+    ensureOutputEntry(cat);
+    outputsByCatId[id].text = step[side][id].text;
+  }
+  reconcileSelectionFromText(cat, outputsByCatId[id]?.text || "");
+}
+
+function afterUndoRedo() {
+  checkpoint = captureCheckpoint();
+  saveState(state);
+  saveOutputs(outputsByCatId);
+  renderEditorKeepingFocus(); // Ctrl+Z inside a textarea keeps the caret there
+}
+
+function undo() {
+  const step = undoStack.pop();
+  if (!step) return;
+  applyStep(step, "before");
+  redoStack.push(step);
+  afterUndoRedo();
+}
+
+function redo() {
+  const step = redoStack.pop();
+  if (!step) return;
+  applyStep(step, "after");
+  step.sealed = true;
+  undoStack.push(step);
+  afterUndoRedo();
+}
+
+// ↶ on an output: the newest step that touched this category and hasn't been taken back by an
+// earlier ↶. Whole-state steps that changed the category (delete/re-add, import …) stop the search.
+function lastStepFor(catId) {
+  const reverted = new Set();
+  for (let i = undoStack.length - 1; i >= 0; i--) {
+    const step = undoStack[i];
+    if (!step.cats) {
+      const b = step.before;
+      const a = step.after;
+      if (b.cats[catId] !== a.cats[catId] || b.texts[catId] !== a.texts[catId]) return -1;
+      continue;
+    }
+    if (!step.cats.includes(catId) || reverted.has(step)) continue;
+    if (step.reverts) reverted.add(step.reverts);
+    else return i;
+  }
+  return -1;
+}
+
+// Only this category goes back (other categories in the same step keep their later edits);
+// recorded as a new step so the rest of the history stays valid
+function undoOutput(catId) {
+  const i = lastStepFor(catId);
+  if (i < 0) return;
+  const step = undoStack[i];
+  const cat = state.categories.find(c => c.id === catId);
+  applyCatSide(step, "before", catId);
+  persist(`Undo ${step.label}${step.cats.length > 1 ? ` in ${cat.name}` : ""}`, { reverts: step });
+  renderEditorKeepingFocus();
+}
+
+function renderUndoButtons() {
+  const top = undoStack[undoStack.length - 1];
+  const next = redoStack[redoStack.length - 1];
+  btnUndoGlobal.disabled = !top;
+  btnUndoGlobal.title = top ? `Undo: ${top.label} (Ctrl+Z)` : "Nothing to undo";
+  btnRedoGlobal.disabled = !next;
+  btnRedoGlobal.title = next ? `Redo: ${next.label} (Ctrl+Shift+Z)` : "Nothing to redo";
+  elOutputs.querySelectorAll("[data-undo-cat]").forEach((b) => {
+    const i = lastStepFor(b.dataset.undoCat);
+    b.disabled = i < 0;
+    b.title = i < 0 ? "Nothing to undo in this category" : `Undo: ${undoStack[i].label}`;
+  });
+}
+
+// Ctrl+Z / Ctrl+Shift+Z (Ctrl+Y). Other text fields and open dialogs keep the browser's own undo.
+function onUndoKey(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  const key = e.key.toLowerCase();
+  if (key !== "z" && key !== "y") return;
+  const el = e.target;
+  const isOutput = el && el.tagName === "TEXTAREA" && el.dataset.cat;
+  if (!isOutput && el && /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName)) return;
+  if (document.querySelector(".modalOverlay:not(.hidden)")) return;
+  e.preventDefault();
+  if (key === "y" || e.shiftKey) redo();
+  else undo();
+}
+
+// ---------- Save snapshot ----------
+
+// A snapshot keeps the flattened summary plus what's needed to restore the editor:
+// per-category output texts and the category set (id/name) at save time. Each category keeps only the
+// options its text uses — enough to re-link tokens, report options deleted since and rebuild a deleted
+// category — rather than a copy of the whole library in every snapshot.
+function makeSnapshot(text, textsByCatId) {
+  return {
+    id: "h_" + Math.random().toString(16).slice(2, 10),
+    time: nowTime(),
+    text,
+    target: getTarget().id,
+    outputs: Object.fromEntries(state.categories.map(c => [c.id, textsByCatId[c.id] || ""])),
+    categories: state.categories.map(c => ({
+      id: c.id, name: c.name, options: usedOptions(c, textsByCatId[c.id] || ""),
+      ...(c.separator ? { separator: c.separator } : {}),
+      ...(c.template ? { template: c.template } : {}),
+      ...(c.muted ? { muted: true } : {}),
+      ...(c.solo ? { solo: true } : {}),
+    })),
+  };
+}
+
+function usedOptions(cat, text) {
+  return (cat.options || []).filter(o => o && hasOptionToken(text, o, sepOf(cat), cat.options));
+}
+
+function saveSnapshot() {
+  const summary = summaryForSave();
+  if (!summary) return alert("Nothing to save yet. Select some options first.");
+
+  const texts = Object.fromEntries(state.categories.map(c => [c.id, outputsByCatId[c.id]?.text || ""]));
+  const item = makeSnapshot(summary, texts);
+  const hist = getHistory();
+  hist.unshift(item);
+  setHistory(hist);
+  pruneHistory();
+
+  btnSave.textContent = "Saved ✓";
+  setTimeout(() => (btnSave.textContent = "Save"), 900);
+  showToast("Snapshot saved.", "Add title…", () => {
+    const title = prompt("Snapshot title:", "");
+    if (title !== null) updateHistoryItem(todayKey(), item.id, { title: title.trim() });
+  }, 4000);
+}
+
+// Put the editor back into a snapshot's state.
+// Categories are matched by id, then by name; ones deleted since are recreated from the snapshot (with the options its text used)
+// (opts.recreate = false skips them instead). Categories that didn't exist in the snapshot are cleared.
+// The snapshot's mute/solo mix comes back with it. Loading is one undo step.
+function loadSnapshot(h, opts = {}) {
+  if (!h || !h.outputs) return;
+  const { recreate = true, title = "Snapshot loaded." } = opts;
+
+  const notes = [];
+  const matched = new Set();
+  let lastId = null;
+  state.categories.forEach((c) => { delete c.muted; delete c.solo; });
+  (h.categories || []).forEach((sc) => {
+    let text = (h.outputs[sc.id] || "").trim();
+    let cat = state.categories.find(c => c.id === sc.id && !matched.has(c.id))
+      || state.categories.find(c => c.name === sc.name && !matched.has(c.id));
+    if (!cat) {
+      if (!text) return;
+      if (!recreate) return notes.push(`“${sc.name}” isn't in your library, so its text was skipped:\n  ${text}`);
+      const id = state.categories.some(c => c.id === sc.id) ? randomId() : sc.id;
+      cat = { id, name: sc.name, options: (sc.options || []).slice(), selected: [] };
+      if (sc.separator) cat.separator = sc.separator;
+      if (sc.template) cat.template = sc.template;
+      // keep snapshot order: right after the previously restored category
+      const prevIdx = state.categories.findIndex(c => c.id === lastId);
+      state.categories.splice(prevIdx + 1, 0, cat);
+      notes.push(`Recreated deleted category “${sc.name}”.`);
+    } else if (cat.name !== sc.name) {
+      notes.push(`“${sc.name}” is now “${cat.name}”.`);
+    }
+    matched.add(cat.id);
+    lastId = cat.id;
+    if (sc.muted) cat.muted = true;
+    if (sc.solo) cat.solo = true;
+
+    // Text written with another separator is re-joined for this category
+    if (sepOf(sc) !== sepOf(cat)) {
+      text = convertSeparator(text, [...new Set([...(sc.options || []), ...(cat.options || [])])], sepOf(sc), sepOf(cat));
+    }
+
+    ensureOutputEntry(cat);
+    outputsByCatId[cat.id].text = text;
+    reconcileSelectionFromText(cat, text);
+
+    // Options removed/edited since the snapshot stay in the text as custom tokens
+    const lost = (sc.options || []).filter(o => hasOptionToken(text, o, sepOf(cat), sc.options) && !(cat.options || []).includes(o));
+    if (lost.length) notes.push(`${lost.length} option(s) in “${cat.name}” no longer exist and were kept as custom text.`);
+  });
+
+  state.categories.forEach((cat) => {
+    if (matched.has(cat.id)) return;
+    const out = outputsByCatId[cat.id];
+    if (!out || !(out.text || "").trim()) return;
+    out.text = "";
+    reconcileSelectionFromText(cat, "");
+  });
+
+  if (h.target && TARGETS[h.target]) {
+    setTarget({ ...getTarget(), id: h.target });
+    renderTargetControls();
+  }
+
+  persist("Load snapshot");
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+  closeHistory();
+  if (notes.length) alert(title + "\n\n" + notes.join("\n"));
+}
+
+// ---------- History modal ----------
+
+function openHistory() {
+  historyDay = todayKey();
+  historySearch.value = "";
+  historyStarred.checked = false;
+  historyTags.clear();
+  historyEditId = null;
+  comparePicks = [];
+  const r = getRetention();
+  retentionDays.value = r.maxDays;
+  retentionKB.value = r.maxKB;
+  renderHistoryList();
+  historyOverlay.classList.remove("hidden");
+}
+function closeHistory() { historyOverlay.classList.add("hidden"); }
+
+function renderHistoryDays() {
+  const days = listHistoryDays();
+  if (!days.includes(todayKey())) days.unshift(todayKey());
+  if (!days.includes(historyDay)) historyDay = todayKey();
+  historyDaySelect.innerHTML = "";
+  days.forEach((d) => {
+    const o = document.createElement("option");
+    o.value = d;
+    o.textContent = `${d}${d === todayKey() ? " (today)" : ""} — ${getHistory(d).length}`;
+    historyDaySelect.appendChild(o);
+  });
+  historyDaySelect.value = historyDay;
+}
+
+// Snapshots may carry { title, tags:[], note, starred }; empty fields are dropped
+function updateHistoryItem(day, id, patch) {
+  const list = getHistory(day);
+  const h = list.find(x => x.id === id);
+  if (!h) return;
+  Object.assign(h, patch);
+  if (!h.title) delete h.title;
+  if (!h.note) delete h.note;
+  if (!h.tags || !h.tags.length) delete h.tags;
+  if (!h.starred) delete h.starred;
+  setHistory(list, day);
+}
+
+// "client A, dusk studies" -> ["client A", "dusk studies"] (case-insensitive de-dupe)
+function parseTags(str) {
+  const seen = new Set();
+  return String(str || "").split(",").map(t => t.trim()).filter((t) => {
+    const k = t.toLowerCase();
+    if (!t || seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+}
+
+// Every tag in use across all days, most used first
+function historyTagCounts() {
+  const counts = new Map();
+  listHistoryDays().forEach(day => getHistory(day).forEach(h => (h.tags || []).forEach((t) => {
+    const k = t.toLowerCase();
+    const c = counts.get(k) || { tag: t, n: 0 };
+    c.n++;
+    counts.set(k, c);
+  })));
+  return [...counts.values()].sort((a, b) => b.n - a.n || a.tag.localeCompare(b.tag));
+}
+
+function toggleHistoryTag(tag) {
+  const k = tag.toLowerCase();
+  if (historyTags.has(k)) historyTags.delete(k); else historyTags.add(k);
+  renderHistoryList();
+}
+
+function tagChip(tag, onclick) {
+  const b = document.createElement("button");
+  b.type = "button";
+  const on = historyTags.has(tag.toLowerCase());
+  b.className = `historyTag${on ? " historyTagOn" : ""}`;
+  b.textContent = tag;
+  b.title = on ? "Remove this tag filter" : "Show only snapshots with this tag";
+  b.onclick = onclick;
+  return b;
+}
+
+function renderHistoryTags() {
+  const tags = historyTagCounts();
+  const known = new Set(tags.map(t => t.tag.toLowerCase()));
+  [...historyTags].forEach((k) => { if (!known.has(k)) historyTags.delete(k); });
+  historyTagFilter.innerHTML = "";
+  tags.forEach(({ tag, n }) => {
+    const chip = tagChip(tag, () => toggleHistoryTag(tag));
+    chip.textContent = `${tag} · ${n}`;
+    historyTagFilter.appendChild(chip);
+  });
+}
+
+// Without filters only the selected day is listed. Search (every word must appear in the title,
+// tags, note or prompt), tag filters and "★ only" span every stored day.
+function historyView() {
+  const words = (historySearch.value || "").toLowerCase().split(/\s+/).filter(Boolean);
+  const starredOnly = historyStarred.checked;
+  if (!words.length && !historyTags.size && !starredOnly) {
+    return { items: getHistory(historyDay).map(h => ({ h, day: historyDay })), searching: false };
+  }
+  const matches = (h) => {
+    if (starredOnly && !h.starred) return false;
+    const tags = (h.tags || []).map(t => t.toLowerCase());
+    if ([...historyTags].some(t => !tags.includes(t))) return false;
+    const hay = [h.title || "", tags.join("\n"), h.note || "", h.text || ""].join("\n").toLowerCase();
+    return words.every(w => hay.includes(w));
+  };
+  const items = [];
+  listHistoryDays().forEach((day) => {
+    getHistory(day).forEach((h) => { if (matches(h)) items.push({ h, day }); });
+  });
+  return { items, searching: true };
+}
 
-    wrap.appendChild(top);
-    wrap.appendChild(opts);
-    elCategories.appendChild(wrap);
+function renderHistoryEditor(h, day) {
+  const box = document.createElement("div");
+  box.className = "historyEdit";
+
+  const title = document.createElement("input");
+  title.className = "input";
+  title.placeholder = "Title";
+  title.value = h.title || "";
+
+  const tags = document.createElement("input");
+  tags.className = "input";
+  tags.placeholder = "Tags, comma-separated (e.g. client A, dusk studies)";
+  tags.value = (h.tags || []).join(", ");
+
+  const note = document.createElement("textarea");
+  note.className = "input historyNoteInput";
+  note.placeholder = "Note (generator, seed, what worked…)";
+  note.value = h.note || "";
+
+  const save = () => {
+    updateHistoryItem(day, h.id, { title: title.value.trim(), tags: parseTags(tags.value), note: note.value.trim() });
+    historyEditId = null;
+    renderHistoryList();
+  };
+  const cancel = () => { historyEditId = null; renderHistoryList(); };
+  [title, tags].forEach((el) => {
+    el.onkeydown = (e) => {
+      if (e.key === "Enter") { e.preventDefault(); save(); }
+      if (e.key === "Escape") { e.preventDefault(); cancel(); }
+    };
   });
+  note.onkeydown = (e) => {
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) { e.preventDefault(); save(); }
+    if (e.key === "Escape") { e.preventDefault(); cancel(); }
+  };
+
+  const actions = document.createElement("div");
+  actions.className = "historyEditActions";
+  const bSave = document.createElement("button");
+  bSave.className = "btn btnPrimary";
+  bSave.textContent = "Save";
+  bSave.onclick = save;
+  const bCancel = document.createElement("button");
+  bCancel.className = "btn btnGhost";
+  bCancel.textContent = "Cancel";
+  bCancel.onclick = cancel;
+  actions.appendChild(bCancel);
+  actions.appendChild(bSave);
+
+  box.appendChild(title);
+  box.appendChild(tags);
+  box.appendChild(note);
+  box.appendChild(actions);
+  setTimeout(() => title.focus(), 0);
+  return box;
 }
 
-function renderOutputs() {
-  elOutputs.innerHTML = "";
+function renderHistoryList() {
+  renderHistoryDays();
+  renderHistoryTags();
+  comparePicks = comparePicks.filter(p => getHistory(p.day).some(x => x.id === p.id));
+  btnCompareHistory.disabled = !comparePicks.length;
+  btnCompareHistory.textContent = comparePicks.length === 1 ? "Compare with editor" : "Compare";
+  const { items, searching } = historyView();
+  historyDaySelect.disabled = searching;
+  btnClearHistory.textContent = historyDay === todayKey() ? "Clear today" : "Clear day";
+  historyDateHint.textContent = searching
+    ? `Filtered across ${listHistoryDays().length} day(s) • matches: ${items.length}`
+    : `Local date: ${historyDay} • items: ${items.length}`;
 
-  state.categories.forEach((cat) => {
-    ensureOutputEntry(cat);
-    const outEntry = outputsByCatId[cat.id];
+  historyList.innerHTML = "";
+  if (!items.length) {
+    const empty = document.createElement("div");
+    empty.className = "tinyHint";
+    empty.textContent = searching ? "No matching snapshots." : "No history for this day. Click Save to store snapshots.";
+    historyList.appendChild(empty);
+    return;
+  }
 
-    const block = document.createElement("div");
-    block.className = "outputBlock";
+  items.forEach(({ h, day }) => {
+    const item = document.createElement("div");
+    item.className = `historyItem${h.starred ? " historyStarred" : ""}`;
 
     const top = document.createElement("div");
-    top.className = "outputTop";
+    top.className = "historyItemTop";
 
     const left = document.createElement("div");
-    const t = document.createElement("div");
-    t.className = "categoryName";
-    t.textContent = cat.name;
-    left.appendChild(t);
-
-    if ((cat.selected || []).length) {
-      const meta = document.createElement("div");
-      meta.className = "outputMeta";
-      meta.textContent = `${(cat.selected || []).length} selected`;
-      left.appendChild(meta);
+    left.className = "historyHead";
+    const when = searching ? `${day} · ${h.time}` : h.time;
+    const time = document.createElement("div");
+    time.className = "historyTime";
+    time.textContent = h.title || when;
+    left.appendChild(time);
+    if (h.title) {
+      const sub = document.createElement("div");
+      sub.className = "tinyHint";
+      sub.textContent = when;
+      left.appendChild(sub);
     }
 
-    const actions = document.createElement("div");
-    actions.className = "outputActions";
-
-    const btnUndo = document.createElement("button");
-    btnUndo.className = "btn btnGhost";
-    btnUndo.textContent = "↶";
-    btnUndo.title = "Undo";
-    btnUndo.onclick = () => undoOutput(cat.id);
-
-    const btnClear = document.createElement("button");
-    btnClear.className = "btn btnGhost";
-    btnClear.textContent = "Clear";
-    btnClear.title = "Clear this output text (also uncheck left options)";
-    btnClear.onclick = () => clearOutput(cat.id);
-
-    const btnCopy = document.createElement("button");
-    btnCopy.className = "btn";
-    btnCopy.textContent = "Copy";
-    btnCopy.disabled = !(outEntry.text || "").trim();
-    btnCopy.onclick = () => copyToClipboard(outEntry.text);
-
-    actions.appendChild(btnUndo);
-    actions.appendChild(btnClear);
-    actions.appendChild(btnCopy);
+    const right = document.createElement("div");
+    right.style.display = "flex";
+    right.style.gap = "10px";
+    right.style.alignItems = "center";
+    right.style.flexWrap = "wrap";
+    right.style.justifyContent = "flex-end";
+
+    const star = document.createElement("button");
+    star.type = "button";
+    star.className = `starBtn${h.starred ? " starOn" : ""}`;
+    star.textContent = h.starred ? "★" : "☆";
+    star.title = h.starred ? "Unstar" : "Star (starred snapshots are kept by retention and Clear)";
+    star.onclick = () => { updateHistoryItem(day, h.id, { starred: !h.starred }); renderHistoryList(); };
+
+    const bEdit = document.createElement("button");
+    bEdit.className = "btn";
+    bEdit.textContent = "Edit";
+    bEdit.title = "Title, tags and note";
+    bEdit.onclick = () => { historyEditId = historyEditId === h.id ? null : h.id; renderHistoryList(); };
+
+    const pick = document.createElement("label");
+    pick.className = "check historyCompare";
+    pick.title = h.outputs ? "Compare with the editor, or tick a second snapshot" : "Saved before restore support (text only)";
+    const pickBox = document.createElement("input");
+    pickBox.type = "checkbox";
+    pickBox.checked = comparePicks.some(p => p.id === h.id);
+    pickBox.disabled = !h.outputs;
+    pickBox.onchange = () => toggleComparePick(h.id, day);
+    pick.appendChild(pickBox);
+    pick.appendChild(document.createTextNode("Compare"));
+
+    const bLoad = document.createElement("button");
+    bLoad.className = "btn";
+    bLoad.textContent = "Load";
+    bLoad.disabled = !h.outputs;
+    bLoad.title = h.outputs ? "Restore this snapshot into the editor" : "Saved before restore support (text only)";
+    bLoad.onclick = () => {
+      if (!confirm("Load this snapshot into the editor?\n(Current outputs are replaced; Undo brings them back.)")) return;
+      loadSnapshot(h);
+    };
+
+    const bCopy = document.createElement("button");
+    bCopy.className = "btn";
+    bCopy.textContent = "Copy";
+    bCopy.onclick = () => copyToClipboard(h.text);
+
+    const bDel = document.createElement("button");
+    bDel.className = "btn btnGhost";
+    bDel.textContent = "Delete";
+    bDel.onclick = () => {
+      if (!confirm(h.starred ? "Delete this starred history item?" : "Delete this history item?")) return;
+      setHistory(getHistory(day).filter(x => x.id !== h.id), day);
+      renderHistoryList();
+    };
+
+    right.appendChild(star);
+    right.appendChild(pick);
+    right.appendChild(bEdit);
+    right.appendChild(bLoad);
+    right.appendChild(bCopy);
+    right.appendChild(bDel);
 
     top.appendChild(left);
-    top.appendChild(actions);
+    top.appendChild(right);
+    item.appendChild(top);
 
-    const ta = document.createElement("textarea");
-    ta.className = "textarea";
-    ta.rows = 4;
-    ta.placeholder = "Select options on the left…";
-    ta.value = outEntry.text || "";
-
-    // Right textarea is source-of-truth:
-    // - Update output text
-    // - Reconcile left selection from exact option tokens in text
-    ta.addEventListener("input", () => {
-      const v = ta.value;
-
-      outEntry.undo = outEntry.undo || [];
-      if (outEntry.lastValue !== v) {
-        outEntry.undo.push(outEntry.lastValue ?? "");
-        if (outEntry.undo.length > 120) outEntry.undo.shift();
-        outEntry.lastValue = v;
+    if (historyEditId === h.id) {
+      item.appendChild(renderHistoryEditor(h, day));
+    } else {
+      if (h.tags?.length) {
+        const tags = document.createElement("div");
+        tags.className = "historyTags";
+        h.tags.forEach(t => tags.appendChild(tagChip(t, () => toggleHistoryTag(t))));
+        item.appendChild(tags);
+      }
+      if (h.note) {
+        const note = document.createElement("div");
+        note.className = "historyNote";
+        note.textContent = h.note;
+        item.appendChild(note);
+      }
+    }
+
+    if (h.images?.length) {
+      const imgs = document.createElement("div");
+      imgs.className = "historyImages";
+      h.images.forEach((src, i) => {
+        const img = document.createElement("img");
+        img.src = src;
+        img.alt = `Result ${i + 1}`;
+        img.loading = "lazy";
+        imgs.appendChild(img);
+      });
+      item.appendChild(imgs);
+    }
+
+    const preview = document.createElement("div");
+    preview.className = "historyPreview";
+    preview.textContent = h.text.length > 1200 ? (h.text.slice(0, 1200) + "…") : h.text;
+    item.appendChild(preview);
+    historyList.appendChild(item);
+  });
+}
+
+function downloadHistoryTxt() {
+  const hist = getHistory(historyDay);
+  if (!hist.length) return alert(`No history to download for ${historyDay}.`);
+  const lines = [];
+  lines.push(`${historyDay} — Prompt Mixer history`);
+  lines.push("");
+  hist.slice().reverse().forEach((h) => {
+    lines.push(`--- ${h.time}${h.title ? ` · ${h.title}` : ""}${h.starred ? " ★" : ""} ---`);
+    if (h.tags?.length) lines.push(`Tags: ${h.tags.join(", ")}`);
+    if (h.note) lines.push(`Note: ${h.note}`);
+    lines.push(h.text);
+    lines.push("");
+  });
+  downloadText(`prompt_mixer_history_${historyDay}.txt`, lines.join("\n"));
+}
+
+// Starred snapshots survive Clear, like they survive retention
+function clearHistory() {
+  const kept = getHistory(historyDay).filter(h => h.starred);
+  const extra = kept.length ? `\n(${kept.length} starred snapshot(s) are kept.)` : "";
+  if (!confirm(`Clear history for ${historyDay}?${extra}`)) return;
+  setHistory(kept, historyDay);
+  renderHistoryList();
+}
+
+function saveRetention() {
+  setRetention({ maxDays: Number(retentionDays.value), maxKB: Number(retentionKB.value) });
+  const r = getRetention();
+  retentionDays.value = r.maxDays;
+  retentionKB.value = r.maxKB;
+  pruneHistory();
+  renderHistoryList();
+}
+
+// ---------- Compare ----------
+
+function toggleComparePick(id, day) {
+  const i = comparePicks.findIndex(p => p.id === id);
+  if (i >= 0) comparePicks.splice(i, 1);
+  else {
+    comparePicks.push({ day, id });
+    if (comparePicks.length > 2) comparePicks.shift();
+  }
+  renderHistoryList();
+}
+
+// One side of a comparison: { label, target, cats: [{ id, name, options, sep, text, muted }] }
+function snapshotSide(h, day) {
+  const cats = h.categories || [];
+  const solo = cats.some(c => c.solo);
+  return {
+    label: `${h.title ? `${h.title} · ` : ""}${day} ${h.time}`,
+    target: h.target,
+    cats: cats.map(sc => ({
+      id: sc.id, name: sc.name, options: sc.options || [], sep: sepOf(sc),
+      text: h.outputs[sc.id] || "", muted: solo ? !sc.solo : !!sc.muted,
+    })),
+  };
+}
+function editorSide() {
+  return {
+    label: "Editor (now)",
+    target: getTarget().id,
+    cats: state.categories.map(c => ({
+      id: c.id, name: c.name, options: c.options || [], sep: sepOf(c),
+      text: outputsByCatId[c.id]?.text || "", muted: !isAudible(c),
+    })),
+  };
+}
+
+// Categories of both sides matched by id, then by name: [[a | null, b | null]]
+function pairCategories(a, b) {
+  const used = new Set();
+  const pairs = a.cats.map((ca) => {
+    const cb = b.cats.find(c => c.id === ca.id && !used.has(c)) || b.cats.find(c => c.name === ca.name && !used.has(c)) || null;
+    if (cb) used.add(cb);
+    return [ca, cb];
+  });
+  b.cats.forEach((cb) => { if (!used.has(cb)) pairs.push([null, cb]); });
+  return pairs;
+}
+
+// Tokens split with the same rules as the editor, keyed by the option they belong to (custom
+// tokens by their own text). The same option on both sides is "same", or "edited" when it is
+// written differently (weight, slot fill); everything else is "added" / "removed".
+function diffTokens(a, b) {
+  const options = [...new Set([...a.options, ...b.options])].filter(Boolean).sort((x, y) => y.length - x.length);
+  const keyed = side => splitTokens(side.text, options, side.sep).map((tok) => {
+    const opt = options.find(o => hasOptionToken(tok, o, side.sep, options));
+    return { tok, key: opt ? `o:${opt}` : `c:${stripSep(tok, side.sep).toLowerCase()}`, status: null };
+  });
+  const left = keyed(a);
+  const right = keyed(b);
+  const pool = new Map();
+  right.forEach((t) => {
+    if (!pool.has(t.key)) pool.set(t.key, []);
+    pool.get(t.key).push(t);
+  });
+  left.forEach((t) => {
+    const m = (pool.get(t.key) || []).shift();
+    if (!m) t.status = "removed";
+    else t.status = m.status = t.tok === m.tok ? "same" : "edited";
+  });
+  right.forEach((t) => { if (!t.status) t.status = "added"; });
+  return { left, right };
+}
+
+function openCompare() {
+  const snaps = comparePicks
+    .map(p => ({ day: p.day, h: getHistory(p.day).find(x => x.id === p.id) }))
+    .filter(p => p.h && p.h.outputs)
+    .sort((x, y) => `${x.day} ${x.h.time}`.localeCompare(`${y.day} ${y.h.time}`)); // older on the left
+  if (!snaps.length) return;
+  const a = snapshotSide(snaps[0].h, snaps[0].day);
+  const b = snaps[1] ? snapshotSide(snaps[1].h, snaps[1].day) : editorSide();
+  renderCompare(a, b);
+  compareOverlay.classList.remove("hidden");
+}
+function closeCompare() { compareOverlay.classList.add("hidden"); }
+
+function renderCompare(a, b) {
+  document.getElementById("compareLabelA").textContent = a.label;
+  document.getElementById("compareLabelB").textContent = b.label;
+  const empty = { text: "", options: [], sep: DEFAULT_SEP };
+  const totals = { added: 0, removed: 0, edited: 0 };
+
+  compareList.innerHTML = "";
+  pairCategories(a, b).forEach(([ca, cb]) => {
+    const { left, right } = diffTokens(ca || empty, cb || empty);
+    if (!left.length && !right.length) return;
+    const n = {
+      added: right.filter(t => t.status === "added").length,
+      removed: left.filter(t => t.status === "removed").length,
+      edited: right.filter(t => t.status === "edited").length,
+    };
+    Object.keys(totals).forEach((k) => { totals[k] += n[k]; });
+    const changed = n.added + n.removed + n.edited > 0;
+
+    const box = document.createElement("div");
+    box.className = `compareCat${changed ? "" : " compareSame"}`;
+    const title = document.createElement("div");
+    title.className = "compareCatName";
+    const name = (cb || ca).name;
+    const notes = [];
+    if (ca && cb && ca.name !== cb.name) notes.push(`was “${ca.name}”`);
+    if (!ca) notes.push("new category");
+    if (!cb) notes.push("category gone");
+    if (ca?.muted !== cb?.muted && (ca?.muted || cb?.muted)) notes.push(ca?.muted ? "muted on the left" : "muted on the right");
+    notes.push(changed ? `+${n.added} −${n.removed} ~${n.edited}` : "no changes");
+    title.textContent = `${name} · ${notes.join(" · ")}`;
+    box.appendChild(title);
+
+    if (changed) {
+      const cols = document.createElement("div");
+      cols.className = "compareCols";
+      [left, right].forEach((list) => {
+        const col = document.createElement("div");
+        col.className = "compareCol";
+        list.forEach((t) => {
+          const chip = document.createElement("span");
+          chip.className = "diffTok" + ({ added: " diffAdded", removed: " diffRemoved", edited: " diffEdited" }[t.status] || "");
+          chip.textContent = t.tok;
+          col.appendChild(chip);
+        });
+        cols.appendChild(col);
+      });
+      box.appendChild(cols);
+    }
+    compareList.appendChild(box);
+  });
+
+  const targetLabel = id => TARGETS[id]?.label || id || "—";
+  const parts = [`+${totals.added} added`, `−${totals.removed} removed`, `~${totals.edited} edited`];
+  if (a.target !== b.target) parts.push(`target ${targetLabel(a.target)} → ${targetLabel(b.target)}`);
+  document.getElementById("compareHint").textContent = compareList.children.length ? parts.join(" • ") : "Both sides are empty.";
+}
+
+// ---------- Import / Export ----------
+
+const LIBRARY_FORMAT = "prompt-mixer-library";
+const LIBRARY_FORMAT_VERSION = 1;
+let pendingImport = null; // validated file contents waiting in the Import modal
+
+function exportLibrary() {
+  const history = {};
+  listHistoryDays().forEach((d) => { history[d] = getHistory(d); });
+  const data = {
+    format: LIBRARY_FORMAT,
+    formatVersion: LIBRARY_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    state: JSON.parse(JSON.stringify(state)),
+    outputs: Object.fromEntries(state.categories.map(c => [c.id, outputsByCatId[c.id]?.text || ""])),
+    presets: loadPresets(),
+    history,
+  };
+  downloadText(`prompt_mixer_library_${todayKey()}.json`, JSON.stringify(data, null, 2), "application/json;charset=utf-8");
+}
+
+// Returns a list of human-readable problems (empty = valid).
+// A bare defaults.json ({ version, categories }) is accepted too.
+function validateLibrary(data) {
+  const errors = [];
+  const isObj = (v) => v && typeof v === "object" && !Array.isArray(v);
+  if (!isObj(data)) return ["The file is not a JSON object."];
+
+  if (data.format !== undefined && data.format !== LIBRARY_FORMAT) {
+    errors.push(`Unknown format "${data.format}" (expected "${LIBRARY_FORMAT}").`);
+  }
+  if (Number(data.formatVersion) > LIBRARY_FORMAT_VERSION) {
+    errors.push(`File was exported by a newer Prompt Mixer (format v${data.formatVersion}); this version reads up to v${LIBRARY_FORMAT_VERSION}.`);
+  }
+
+  const cats = data.format === undefined ? data.categories : data.state?.categories;
+  if (!Array.isArray(cats)) {
+    errors.push(data.format === undefined ? "Missing \"categories\" array." : "Missing \"state.categories\" array.");
+  } else {
+    const seen = new Set();
+    cats.forEach((c, i) => {
+      const at = `categories[${i}]`;
+      if (!isObj(c)) return errors.push(`${at} must be an object.`);
+      if (typeof c.id !== "string" || !c.id.trim()) errors.push(`${at}.id must be a non-empty string.`);
+      else if (seen.has(c.id)) errors.push(`${at}.id "${c.id}" is used more than once.`);
+      else seen.add(c.id);
+      if (typeof c.name !== "string") errors.push(`${at}.name must be a string.`);
+      if (c.separator !== undefined && !SEPARATORS[c.separator]) {
+        errors.push(`${at}.separator must be one of: ${Object.keys(SEPARATORS).join(", ")}.`);
+      }
+      if (c.template !== undefined && typeof c.template !== "string") errors.push(`${at}.template must be a string.`);
+      if (!Array.isArray(c.options)) errors.push(`${at}.options must be an array.`);
+      else c.options.forEach((o, j) => {
+        if (typeof o === "string") return;
+        if (!isObj(o) || typeof o.text !== "string" || !o.text.trim()) {
+          return errors.push(`${at}.options[${j}] must be a string or an object with a "text" string.`);
+        }
+        if (o.aliases !== undefined && (!Array.isArray(o.aliases) || o.aliases.some(a => typeof a !== "string"))) {
+          errors.push(`${at}.options[${j}].aliases must be an array of strings.`);
+        }
+        ["description", "image"].forEach((k) => { if (o[k] !== undefined && typeof o[k] !== "string") errors.push(`${at}.options[${j}].${k} must be a string.`); });
+        if (o.positive !== undefined && typeof o.positive !== "boolean") errors.push(`${at}.options[${j}].positive must be true or false.`);
+      });
+      if (c.meta !== undefined && (!isObj(c.meta) || Object.values(c.meta).some(m => !isObj(m)))) {
+        errors.push(`${at}.meta must be an object of option text → { description, aliases, image, positive }.`);
+      }
+    });
+  }
+
+  const rules = data.format === undefined ? data.rules : data.state?.rules;
+  if (rules !== undefined) {
+    const isRef = (r) => isObj(r) && typeof r.cat === "string" && typeof r.option === "string";
+    if (!Array.isArray(rules)) errors.push("\"rules\" must be an array.");
+    else rules.forEach((r, i) => {
+      if (!isObj(r) || !RULE_TYPES[r.type] || !isRef(r.a) || !isRef(r.b)) {
+        errors.push(`rules[${i}] must have "type" (excludes/requires) and "a"/"b" as { cat, option }.`);
+      }
+    });
+  }
+
+  if (data.outputs !== undefined) {
+    if (!isObj(data.outputs)) errors.push("\"outputs\" must be an object of category id → text.");
+    else Object.entries(data.outputs).forEach(([k, v]) => { if (typeof v !== "string") errors.push(`outputs["${k}"] must be a string.`); });
+  }
+
+  if (data.presets !== undefined) {
+    if (!Array.isArray(data.presets)) errors.push("\"presets\" must be an array.");
+    else data.presets.forEach((p, i) => {
+      if (!isObj(p) || typeof p.id !== "string" || typeof p.name !== "string" || !isObj(p.cats)) {
+        errors.push(`presets[${i}] must have string "id", string "name" and object "cats".`);
       }
+    });
+  }
+
+  if (data.history !== undefined) {
+    if (!isObj(data.history)) errors.push("\"history\" must be an object of day → items.");
+    else Object.entries(data.history).forEach(([day, list]) => {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return errors.push(`history["${day}"]: day must look like YYYY-MM-DD.`);
+      if (!Array.isArray(list)) return errors.push(`history["${day}"] must be an array.`);
+      list.forEach((h, i) => {
+        if (!isObj(h) || typeof h.id !== "string" || typeof h.text !== "string") {
+          errors.push(`history["${day}"][${i}] must have string "id" and "text".`);
+        } else if (h.tags !== undefined && (!Array.isArray(h.tags) || h.tags.some(t => typeof t !== "string"))) {
+          errors.push(`history["${day}"][${i}].tags must be an array of strings.`);
+        } else if (h.images !== undefined && (!Array.isArray(h.images) || h.images.some(x => typeof x !== "string"))) {
+          errors.push(`history["${day}"][${i}].images must be an array of image URLs.`);
+        }
+      });
+    });
+  }
+
+  return errors;
+}
+
+// Bring either accepted shape into the export shape
+function normalizeLibrary(data) {
+  if (data.format === undefined) {
+    return { state: { version: data.version || 1, categories: data.categories.map(splitOptionMeta), rules: data.rules }, outputs: {}, presets: undefined, history: undefined };
+  }
+  return { ...data, state: { ...data.state, categories: data.state.categories.map(splitOptionMeta) } };
+}
+
+function importMode() { return document.querySelector('input[name="importMode"]:checked')?.value || "merge"; }
+
+// Per-category diff of options between the local library and the incoming one
+function libraryDiff(incoming, mode) {
+  const rows = [];
+  const local = state.categories;
+  incoming.state.categories.forEach((ic) => {
+    const lc = local.find(c => c.id === ic.id);
+    if (!lc) return rows.push({ name: ic.name, status: "new", added: ic.options.slice(), removed: [] });
+    const added = ic.options.filter(o => !lc.options.includes(o));
+    const removed = mode === "replace" ? lc.options.filter(o => !ic.options.includes(o)) : [];
+    const renamed = mode === "replace" && ic.name !== lc.name ? lc.name : null;
+    rows.push({ name: ic.name, status: "match", added, removed, renamed });
+  });
+  local.forEach((lc) => {
+    if (incoming.state.categories.some(c => c.id === lc.id)) return;
+    rows.push({ name: lc.name, status: mode === "replace" ? "removed" : "kept", added: [], removed: mode === "replace" ? lc.options.slice() : [] });
+  });
+  return rows;
+}
+
+function renderImportDiff() {
+  importDiff.innerHTML = "";
+  if (!pendingImport) return;
+
+  const mode = importMode();
+  importModeHint.textContent = mode === "replace"
+    ? "Replace: checked parts overwrite your local copy."
+    : "Merge: categories matched by id gain new options; your edits and outputs are kept.";
+
+  if (!importLibrary.checked) return;
+
+  libraryDiff(pendingImport, mode).forEach((r) => {
+    const block = document.createElement("div");
+    block.className = "diffCat";
+
+    const head = document.createElement("div");
+    head.className = "diffCatName";
+    const label = { new: "new category", removed: "category removed", kept: "kept (not in file)" }[r.status];
+    head.textContent = r.name + (label ? ` — ${label}` : "") + (r.renamed ? ` — renamed from “${r.renamed}”` : "");
+    block.appendChild(head);
+
+    if (r.status === "match" && !r.added.length && !r.removed.length) {
+      const same = document.createElement("div");
+      same.className = "tinyHint";
+      same.textContent = "No option changes.";
+      block.appendChild(same);
+    }
+    if (r.status !== "new") {
+      r.added.forEach((o) => block.appendChild(diffLine("+", o, "diffAdd")));
+      r.removed.forEach((o) => block.appendChild(diffLine("−", o, "diffDel")));
+    } else {
+      const n = document.createElement("div");
+      n.className = "tinyHint";
+      n.textContent = `${r.added.length} option(s)`;
+      block.appendChild(n);
+    }
+    importDiff.appendChild(block);
+  });
+}
+
+function diffLine(sign, text, cls) {
+  const d = document.createElement("div");
+  d.className = `diffLine ${cls}`;
+  d.textContent = `${sign} ${text}`;
+  return d;
+}
+
+function openImport(fileName, raw) {
+  const data = safeJsonParse(raw, undefined);
+  const errors = data === undefined ? ["The file is not valid JSON."] : validateLibrary(data);
+
+  pendingImport = errors.length ? null : normalizeLibrary(data);
+  importSource.textContent = `File: ${fileName}`;
+  importErrors.innerHTML = "";
+  importErrors.classList.toggle("hidden", !errors.length);
+  errors.slice(0, 20).forEach((e) => {
+    const d = document.createElement("div");
+    d.textContent = e;
+    importErrors.appendChild(d);
+  });
+  if (errors.length > 20) importErrors.appendChild(document.createTextNode(`…and ${errors.length - 20} more.`));
+
+  const hasPresets = !!pendingImport && Array.isArray(pendingImport.presets);
+  const hasHistory = !!pendingImport && !!pendingImport.history;
+  importPresets.disabled = !hasPresets;
+  importPresets.checked = hasPresets;
+  importHistory.disabled = !hasHistory;
+  importHistory.checked = hasHistory;
+  importApply.disabled = !pendingImport;
+
+  renderImportDiff();
+  importOverlay.classList.remove("hidden");
+}
+function closeImport() { importOverlay.classList.add("hidden"); pendingImport = null; }
+
+function applyImport() {
+  if (!pendingImport) return;
+  const data = pendingImport;
+  const mode = importMode();
+  const withLibrary = importLibrary.checked;
+  const withPresets = importPresets.checked;
+  const withHistory = importHistory.checked;
+  const incomingOutputs = data.outputs || {};
+
+  if (withLibrary) {
+    if (mode === "replace") {
+      state = JSON.parse(JSON.stringify(data.state));
+      state.version = state.version || 1;
+      outputsByCatId = {};
+      state.categories.forEach((c) => {
+        const text = incomingOutputs[c.id] || "";
+        outputsByCatId[c.id] = { text };
+      });
+    } else {
+      data.state.categories.forEach((ic) => {
+        const lc = state.categories.find(c => c.id === ic.id);
+        if (lc) {
+          ic.options.forEach((o) => { if (!lc.options.includes(o)) lc.options.push(o); });
+          // Incoming details fill gaps; an option already described here keeps its own
+          Object.entries(ic.meta || {}).forEach(([o, m]) => { if (!optionMeta(lc, o)) lc.meta = { ...(lc.meta || {}), [o]: m }; });
+          const out = outputsByCatId[lc.id];
+          if (out && !(out.text || "").trim() && incomingOutputs[lc.id]) {
+            out.text = convertSeparator(incomingOutputs[lc.id], lc.options, sepOf(ic), sepOf(lc));
+          }
+        } else {
+          state.categories.push(JSON.parse(JSON.stringify(ic)));
+          const text = incomingOutputs[ic.id] || "";
+          outputsByCatId[ic.id] = { text };
+        }
+      });
+      state.rules = state.rules || [];
+      (data.state.rules || []).forEach((r) => {
+        const key = JSON.stringify([r.type, r.a, r.b]);
+        if (!state.rules.some(x => JSON.stringify([x.type, x.a, x.b]) === key)) state.rules.push(JSON.parse(JSON.stringify(r)));
+      });
+    }
+    normalizeState();
+    persist("Import library");
+  }
+
+  if (withPresets && Array.isArray(data.presets)) {
+    if (mode === "replace") savePresets(data.presets);
+    else {
+      const list = loadPresets();
+      data.presets.forEach((p) => { if (!list.some(x => x.id === p.id)) list.push(p); });
+      savePresets(list);
+    }
+  }
+
+  if (withHistory && data.history) {
+    if (mode === "replace") listHistoryDays().forEach(d => setHistory([], d));
+    Object.entries(data.history).forEach(([day, items]) => {
+      const list = mode === "replace" ? [] : getHistory(day);
+      items.forEach((h) => { if (!list.some(x => x.id === h.id)) list.push(h); });
+      list.sort((a, b) => String(b.time || "").localeCompare(String(a.time || "")));
+      setHistory(list, day);
+    });
+    pruneHistory();
+  }
+
+  closeImport();
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+  renderPresets();
+}
+
+function pickImportFile() {
+  importFile.value = "";
+  importFile.onchange = () => {
+    const file = importFile.files && importFile.files[0];
+    if (!file) return;
+    file.text().then((raw) => openImport(file.name, raw)).catch((e) => alert("Could not read file: " + (e.message || e)));
+  };
+  importFile.click();
+}
+
+// ---------- Cross-tab sync ----------
+
+/**
+ * Every storeSet/storeRemove is announced to the other open tabs (BroadcastChannel; on the localStorage
+ * backend the browser's "storage" event works too). A receiving tab updates its cache without writing
+ * (the sender saves) and refreshes whatever is on screen. Library changes are taken as they come;
+ * an output that is being typed in here is left alone and gets a conflict bar instead.
+ * A change to one category record (pm_cat_v1_ / pm_out_v1_) re-renders that category only.
+ * Undo steps that would put back this tab's older copy of what changed are dropped (rebaseUndoHistory).
+ */
+const SYNC_CHANNEL = "prompt-mixer";
+const TYPING_MS = 3000; // an output counts as "being edited" for this long after the last keystroke
+let syncChannel = null;
+const lastTypedAt = {};   // { [catId]: ms }
+const syncConflicts = {}; // { [catId]: the other tab's text }
+
+function startSync() {
+  if (typeof BroadcastChannel !== "undefined") {
+    syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+    syncChannel.onmessage = (e) => {
+      const m = e.data || {};
+      if (typeof m.key === "string") receiveRemote(m.key, typeof m.value === "string" ? m.value : null);
+    };
+  }
+  window.addEventListener("storage", (e) => {
+    if (e.key && e.key.startsWith("pm_") && e.key !== STORAGE_KEY_BACKEND) receiveRemote(e.key, e.newValue);
+  });
+  elOutputs.addEventListener("input", (e) => { if (e.target.dataset.cat) lastTypedAt[e.target.dataset.cat] = Date.now(); });
+}
+
+function announce(key) {
+  if (syncChannel && !storeReadOnly) syncChannel.postMessage({ key, value: storeGet(key) });
+}
+
+function receiveRemote(key, value) {
+  if (storeGet(key) === value) return;
+  if (value === null) storeCache.delete(key);
+  else storeCache.set(key, value);
+
+  const rec = RECORD_RE.exec(key);
+  if (rec && (rec[3] || DEFAULT_WORKSPACE) !== workspaceId) return;
+  if (key === wsKey(STORAGE_KEY_STATE)) syncState();
+  else if (rec && rec[1] === "cat") syncCategory(rec[2]);
+  else if (rec && rec[1] === "out") syncOutput(rec[2]);
+  else if (key === wsKey(STORAGE_KEY_PRESETS)) renderPresets();
+  else if (HISTORY_DAY_RE.test(key)) { if (!historyOverlay.classList.contains("hidden")) renderHistoryList(); }
+  else if (key === STORAGE_KEY_WORKSPACES) syncWorkspaces();
+  else if (key === STORAGE_KEY_THEME) setTheme(getTheme());
+  else if (key === STORAGE_KEY_TARGET) { renderTargetControls(); updateSummary(); }
+}
+
+function syncState() {
+  const stored = loadState();
+  if (!stored || !Array.isArray(stored.categories)) return;
+  state = stored;
+  normalizeState();
+  // categories deleted over there: their output records are already gone, don't write them back
+  Object.keys(outputsByCatId).forEach((id) => {
+    if (!state.categories.some(c => c.id === id)) { delete outputsByCatId[id]; delete syncConflicts[id]; }
+  });
+  rebaseUndoHistory(); // the other tab's change is not an undo step here
+  renderEditorKeepingFocus();
+}
+
+// One category's definition; added or removed categories arrive with the library list (syncState)
+function syncCategory(id) {
+  const i = state.categories.findIndex(c => c.id === id);
+  const def = safeJsonParse(storeGet(catKey(id)) || "null", null);
+  if (i < 0 || !def) return;
+  const soloChanged = !!def.solo !== !!state.categories[i].solo; // changes what every other category sounds like
+  const cat = { ...def, selected: [] };
+  state.categories[i] = cat;
+  reconcileSelectionFromText(cat, outputsByCatId[id]?.text || "");
+  rebaseUndoHistory();
+  if (soloChanged) renderEditorKeepingFocus();
+  else rerenderCategory(id);
+}
+
+function syncOutput(id) {
+  const cat = state.categories.find(c => c.id === id);
+  if (!cat) return;
+  const theirs = safeJsonParse(storeGet(outKey(id)) || "null", null)?.text || "";
+  const mine = outputsByCatId[id]?.text || "";
+  const active = document.activeElement;
+  const editing = active && active.tagName === "TEXTAREA" && active.dataset.cat === id;
+
+  if (theirs === mine) {
+    if (syncConflicts[id] === undefined) return;
+    delete syncConflicts[id];
+  } else if (editing && Date.now() - (lastTypedAt[id] || 0) < TYPING_MS) {
+    syncConflicts[id] = theirs;
+  } else {
+    outputsByCatId[id] = { text: theirs };
+    delete syncConflicts[id];
+    reconcileSelectionFromText(cat, theirs);
+  }
+  rebaseUndoHistory();
+  rerenderCategory(id);
+}
+
+function syncWorkspaces() {
+  const { list } = getWorkspaces();
+  // this tab's workspace was deleted elsewhere
+  if (!list.some(w => w.id === workspaceId)) return void openWorkspace(list[0].id);
+  renderWorkspaceSwitcher();
+  if (!workspaceOverlay.classList.contains("hidden")) renderWorkspaceList();
+}
+
+function resolveSyncConflict(catId, useTheirs) {
+  const theirs = syncConflicts[catId];
+  delete syncConflicts[catId];
+  const cat = state.categories.find(c => c.id === catId);
+  if (useTheirs && cat && theirs !== undefined) {
+    outputsByCatId[catId].text = theirs;
+    reconcileSelectionFromText(cat, theirs);
+    persist("Take other tab’s text");
+  } else {
+    saveOutputs(outputsByCatId); // mine goes out to the other tabs
+  }
+  renderCategories();
+  renderOutputs();
+  updateSummary();
+}
+
+function renderSyncConflict(cat) {
+  const bar = document.createElement("div");
+  bar.className = "syncConflict";
+  const msg = document.createElement("span");
+  msg.textContent = "Also edited in another tab.";
+  msg.title = syncConflicts[cat.id];
+  const theirs = document.createElement("button");
+  theirs.className = "btn btnGhost";
+  theirs.textContent = "Use theirs";
+  theirs.title = syncConflicts[cat.id];
+  theirs.onclick = () => resolveSyncConflict(cat.id, true);
+  const mine = document.createElement("button");
+  mine.className = "btn btnGhost";
+  mine.textContent = "Keep mine";
+  mine.onclick = () => resolveSyncConflict(cat.id, false);
+  bar.appendChild(msg);
+  bar.appendChild(theirs);
+  bar.appendChild(mine);
+  return bar;
+}
+
+// Re-render left, outputs and summary without kicking the caret out of the output being edited
+function renderEditorKeepingFocus() {
+  keepingFocus(() => {
+    renderCategories();
+    renderOutputs();
+  });
+}
+
+// Swap in fresh left and output blocks for one category; a block that the search or the
+// selected-only view shows or hides this time needs the full render (counts, empty hint)
+function rerenderCategory(catId) {
+  const cat = state.categories.find(c => c.id === catId);
+  const oldLeft = [...elCategories.children].find(el => el.dataset.catBlock === catId);
+  const oldOut = [...elOutputs.children].find(el => el.dataset.outBlock === catId);
+  const left = cat ? renderCategoryBlock(cat, (optionSearch.value || "").trim().toLowerCase(), getUiPrefs()) : null;
+  if (!cat || !oldOut || !left !== !oldLeft) return renderEditorKeepingFocus();
+  keepingFocus(() => {
+    hideOptionCard(); // its row may be about to be replaced
+    if (oldLeft) oldLeft.replaceWith(left);
+    oldOut.replaceWith(renderOutputBlock(cat));
+    renderUndoButtons();
+  });
+}
+
+function keepingFocus(render) {
+  const el = document.activeElement;
+  const focusCat = el && el.tagName === "TEXTAREA" ? el.dataset.cat : null;
+  const sel = focusCat ? [el.selectionStart, el.selectionEnd] : null;
+  render();
+  updateSummary();
+  if (!rulesOverlay.classList.contains("hidden")) renderRules();
+  if (!shuffleOverlay.classList.contains("hidden")) renderShuffleRows();
+  if (!focusCat) return;
+  const ta = [...elOutputs.querySelectorAll("textarea")].find(t => t.dataset.cat === focusCat);
+  if (!ta || ta === el) return;
+  ta.focus();
+  ta.setSelectionRange(Math.min(sel[0], ta.value.length), Math.min(sel[1], ta.value.length));
+}
+
+// ---------- Share link ----------
+
+/**
+ * "#s=<code>" carries the current outputs, never the library:
+ *   { v: 1, t: targetId, c: [[catId, catName, text], ...] }   (categories with text only, in order)
+ * code = "z" + base64url(deflate-raw(json)), or "j" + base64url(json) where CompressionStream is missing.
+ * Opening a link asks first; categories missing locally are matched by name, then skipped or added on request.
+ */
+const SHARE_PREFIX = "#s=";
+let pendingShare = null;
+
+function toBase64Url(bytes) {
+  let bin = "";
+  bytes.forEach((b) => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+function fromBase64Url(str) {
+  const bin = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, ch => ch.charCodeAt(0));
+}
+async function pipeBytes(bytes, transform) {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+async function encodeShare(payload) {
+  const json = new TextEncoder().encode(JSON.stringify(payload));
+  if (typeof CompressionStream === "undefined") return "j" + toBase64Url(json);
+  return "z" + toBase64Url(await pipeBytes(json, new CompressionStream("deflate-raw")));
+}
+
+async function decodeShare(code) {
+  let bytes = fromBase64Url(code.slice(1));
+  if (code[0] === "z") {
+    if (typeof DecompressionStream === "undefined") throw new Error("This browser can't open compressed links.");
+    bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+  } else if (code[0] !== "j") {
+    throw new Error("Unknown link format.");
+  }
+  const data = JSON.parse(new TextDecoder().decode(bytes));
+  if (!data || data.v !== 1 || !Array.isArray(data.c)) throw new Error("Unsupported link version.");
+  data.c = data.c.filter(x => Array.isArray(x) && typeof x[0] === "string" && typeof x[2] === "string");
+  return data;
+}
+
+async function shareLink() {
+  // [id, name, text] plus the separator when it isn't a comma; muted categories stay out
+  const c = state.categories.filter(isAudible)
+    .map(cat => [cat.id, cat.name, (outputsByCatId[cat.id]?.text || "").trim(), ...(cat.separator ? [cat.separator] : [])])
+    .filter(x => x[2]);
+  if (!c.length) return alert("Nothing to share yet. Select some options first.");
+  const url = location.href.split("#")[0] + SHARE_PREFIX + await encodeShare({ v: 1, t: getTarget().id, c });
+  copyToClipboard(url);
+  showToast(url.length > 8000 ? `Share link copied (${url.length} chars; some apps may cut it).` : "Share link copied.");
+}
+
+function shareMatch(id, name) {
+  return state.categories.find(c => c.id === id) || state.categories.find(c => c.name === name) || null;
+}
+
+// At boot / on hashchange: decode the link, drop it from the address bar, ask before loading
+async function checkShareHash() {
+  if (!location.hash.startsWith(SHARE_PREFIX)) return;
+  const code = location.hash.slice(SHARE_PREFIX.length);
+  window.history.replaceState(null, "", location.pathname + location.search);
+  try {
+    pendingShare = await decodeShare(code);
+  } catch (e) {
+    return alert("Could not open the shared link.\n\n" + (e.message || e));
+  }
+  openShare();
+}
+
+function openShare() {
+  shareRows.innerHTML = "";
+  const missing = [];
+  pendingShare.c.forEach(([id, name, text]) => {
+    const cat = shareMatch(id, name);
+    if (!cat) missing.push(name);
+
+    const row = document.createElement("div");
+    row.className = "shareRow";
+    const title = document.createElement("span");
+    title.className = "shareName";
+    title.textContent = name;
+    const status = document.createElement("span");
+    status.className = "shareStatus" + (cat ? "" : " shareMissing");
+    status.textContent = !cat ? "not in your library" : (cat.id === id && cat.name === name ? "" : `→ ${cat.name}`);
+    const body = document.createElement("div");
+    body.className = "shareText";
+    body.textContent = text;
+    row.appendChild(title);
+    row.appendChild(status);
+    row.appendChild(body);
+    shareRows.appendChild(row);
+  });
+
+  shareBackup.disabled = !summaryForSave();
+  shareBackup.checked = !shareBackup.disabled;
+  shareMissingWrap.classList.toggle("hidden", !missing.length);
+  shareAddMissing.checked = false;
+  shareMissingLabel.textContent = `Add missing categories to my library (${missing.join(", ")})`;
+  shareOverlay.classList.remove("hidden");
+}
+function closeShare() { shareOverlay.classList.add("hidden"); pendingShare = null; }
+
+function applyShare() {
+  const data = pendingShare;
+  if (!data) return;
+  const summary = summaryForSave();
+  if (shareBackup.checked && summary) {
+    const texts = Object.fromEntries(state.categories.map(c => [c.id, outputsByCatId[c.id]?.text || ""]));
+    const hist = getHistory();
+    hist.unshift(makeSnapshot(summary, texts));
+    setHistory(hist);
+    pruneHistory();
+  }
+  const recreate = shareAddMissing.checked;
+  closeShare();
+  loadSnapshot({
+    target: data.t,
+    outputs: Object.fromEntries(data.c.map(([id, , text]) => [id, text])),
+    categories: data.c.map(([id, name, , separator]) => ({ id, name, options: [], ...(SEPARATORS[separator] ? { separator } : {}) })),
+  }, { recreate, title: "Shared prompt loaded." });
+}
+
+// ---------- Send to generator ----------
+
+/**
+ * POSTs the formatted prompt to a local generator and files the result in history.
+ *   a1111: { prompt, negative_prompt, ...params } -> { images: [base64], info }
+ *   comfy: { prompt: workflow } -> prompt_id, then /history/<id> is polled and images read via /view
+ * The browser calls the server directly, so it must allow CORS
+ * (A1111: --api --cors-allow-origins=…, ComfyUI: --enable-cors-header).
+ */
+const A1111_DEFAULT_PARAMS = { steps: 20, width: 512, height: 512 };
+// ComfyUI's stock text-to-image graph in API format; %prompt%, %negative% and %seed% are filled in
+const COMFY_DEFAULT_WORKFLOW = {
+  3: { class_type: "KSampler", inputs: { seed: "%seed%", steps: 20, cfg: 8, sampler_name: "euler", scheduler: "normal", denoise: 1, model: ["4", 0], positive: ["6", 0], negative: ["7", 0], latent_image: ["5", 0] } },
+  4: { class_type: "CheckpointLoaderSimple", inputs: { ckpt_name: "v1-5-pruned-emaonly.safetensors" } },
+  5: { class_type: "EmptyLatentImage", inputs: { width: 512, height: 512, batch_size: 1 } },
+  6: { class_type: "CLIPTextEncode", inputs: { text: "%prompt%", clip: ["4", 1] } },
+  7: { class_type: "CLIPTextEncode", inputs: { text: "%negative%", clip: ["4", 1] } },
+  8: { class_type: "VAEDecode", inputs: { samples: ["3", 0], vae: ["4", 2] } },
+  9: { class_type: "SaveImage", inputs: { filename_prefix: "PromptMixer", images: ["8", 0] } },
+};
+// body: the JSON text in the modal (extra request parameters / the workflow)
+const SEND_KINDS = {
+  a1111: {
+    label: "A1111", url: "http://127.0.0.1:7860/sdapi/v1/txt2img", body: JSON.stringify(A1111_DEFAULT_PARAMS, null, 2),
+    bodyLabel: "Extra parameters (JSON, merged into the request body)",
+  },
+  comfy: {
+    label: "ComfyUI", url: "http://127.0.0.1:8188/prompt", body: JSON.stringify(COMFY_DEFAULT_WORKFLOW, null, 2),
+    bodyLabel: "Workflow (API format JSON; %prompt%, %negative% and %seed% are filled in)",
+  },
+};
+let sendAbort = null; // AbortController of the request in flight
+
+// { kind, a1111: { url, body }, comfy: { url, body } }
+function getGenerator() {
+  const g = safeJsonParse(storeGet(STORAGE_KEY_GENERATOR) || "null", null) || {};
+  const out = { kind: SEND_KINDS[g.kind] ? g.kind : "a1111" };
+  Object.entries(SEND_KINDS).forEach(([id, k]) => {
+    const c = g[id] || {};
+    out[id] = { url: typeof c.url === "string" ? c.url : "", body: typeof c.body === "string" ? c.body : k.body };
+  });
+  return out;
+}
+function setGenerator(g) { storeSet(STORAGE_KEY_GENERATOR, JSON.stringify(g)); }
+
+// Opening sends right away once an endpoint is set
+function openSend() {
+  const g = getGenerator();
+  renderSendFields(g);
+  sendOverlay.classList.remove("hidden");
+  if (!g[g.kind].url) sendUrl.focus();
+  else if (!sendAbort) sendToGenerator();
+}
+function closeSend() { sendOverlay.classList.add("hidden"); }
+
+function renderSendFields(g) {
+  const kind = SEND_KINDS[g.kind];
+  sendKind.value = g.kind;
+  sendUrl.value = g[g.kind].url;
+  sendUrl.placeholder = kind.url;
+  sendParams.value = g[g.kind].body;
+  sendParamsLabel.textContent = kind.bodyLabel;
+  sendHint.textContent = TARGETS[getTarget().id].negativeField
+    ? ""
+    : "Tip: with the Stable Diffusion target, the negative category is sent as the negative prompt.";
+}
+
+// Fields -> config; each API keeps its own URL and JSON
+function readSendFields() {
+  const g = getGenerator();
+  g[g.kind] = { url: sendUrl.value.trim(), body: sendParams.value };
+  return g;
+}
+function onSendKindChange() {
+  const g = readSendFields();
+  g.kind = sendKind.value;
+  setGenerator(g);
+  renderSendFields(g);
+}
+
+function setSendStatus(text, { progress = null, error = false } = {}) {
+  sendStatus.classList.remove("hidden");
+  sendStatusText.textContent = text;
+  sendStatusText.classList.toggle("sendError", error);
+  sendFill.style.width = progress === null ? "0" : `${Math.round(progress * 100)}%`;
+}
 
-      outEntry.text = v;
-      outEntry.dirty = true;
+async function fetchJson(url, opts = {}) {
+  let res;
+  try {
+    res = await fetch(url, opts);
+  } catch (e) {
+    if (e.name === "AbortError") throw e;
+    throw new Error(`Could not reach ${url}. Is the server running, with its API and CORS enabled?`);
+  }
+  const body = await res.text();
+  const data = safeJsonParse(body, null);
+  if (!res.ok) {
+    const detail = data && (data.error?.message || data.error || data.detail || data.message);
+    throw new Error(`${res.status} ${res.statusText}${detail ? `: ${typeof detail === "string" ? detail : JSON.stringify(detail)}` : ""}`);
+  }
+  if (data === null) throw new Error(`${url} did not answer with JSON.`);
+  return data;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const t = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => { clearTimeout(t); reject(new DOMException("Aborted", "AbortError")); }, { once: true });
+  });
+}
 
-      // This is the key: user-edited tokens that no longer match options => left unchecks automatically
-      reconcileSelectionFromText(cat, v);
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(r.result);
+    r.onerror = () => reject(r.error);
+    r.readAsDataURL(blob);
+  });
+}
 
-      persist();
-      renderCategories();     // reflect auto-unchecks immediately
-      updateSummary();
-      btnCopy.disabled = !(v || "").trim();
+async function sendA1111(cfg, prompt, negative, signal, onProgress) {
+  const params = safeJsonParse(cfg.body.trim() || "{}", undefined);
+  if (!params || typeof params !== "object" || Array.isArray(params)) throw new Error("Extra parameters must be a JSON object.");
+  const base = cfg.url.replace(/\/sdapi\/v1\/txt2img\/?$/, "");
+  const poll = setInterval(() => {
+    fetchJson(`${base}/sdapi/v1/progress?skip_current_image=true`, { signal })
+      .then(p => onProgress(Number(p.progress) || 0))
+      .catch(() => {});
+  }, 1000);
+  try {
+    const data = await fetchJson(cfg.url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...params, prompt, negative_prompt: negative }),
+      signal,
     });
+    const images = (data.images || []).map(b => (String(b).startsWith("data:") ? b : `data:image/png;base64,${b}`));
+    const info = typeof data.info === "string" ? safeJsonParse(data.info, {}) : (data.info || {});
+    return { images, seed: info.seed ?? null };
+  } finally {
+    clearInterval(poll);
+  }
+}
 
-    block.appendChild(top);
-    block.appendChild(ta);
+// Strings in the workflow get %prompt% / %negative%; a value that is exactly "%seed%" becomes a number
+function fillWorkflow(node, vars) {
+  if (node === "%seed%") return vars.seed;
+  if (typeof node === "string") return node.replace(/%(prompt|negative)%/g, (_, k) => vars[k]);
+  if (Array.isArray(node)) return node.map(n => fillWorkflow(n, vars));
+  if (node && typeof node === "object") return Object.fromEntries(Object.entries(node).map(([k, v]) => [k, fillWorkflow(v, vars)]));
+  return node;
+}
 
-    elOutputs.appendChild(block);
+async function sendComfy(cfg, prompt, negative, signal, onProgress) {
+  const workflow = safeJsonParse(cfg.body, null);
+  if (!workflow || typeof workflow !== "object") throw new Error("The workflow is not valid JSON (use ComfyUI's “Save (API format)”).");
+  if (!JSON.stringify(workflow).includes("%prompt%")) throw new Error("The workflow has no %prompt% placeholder.");
+  const seed = Math.floor(Math.random() * 2 ** 32);
+  const base = cfg.url.replace(/\/prompt\/?$/, "");
+  const queued = await fetchJson(cfg.url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ prompt: fillWorkflow(workflow, { prompt, negative, seed }), client_id: "prompt-mixer" }),
+    signal,
   });
+  const id = queued.prompt_id;
+  if (!id) throw new Error("ComfyUI did not queue the prompt.");
+
+  const started = Date.now();
+  let entry = null;
+  while (!entry) {
+    await sleep(1000, signal);
+    const hist = await fetchJson(`${base}/history/${encodeURIComponent(id)}`, { signal });
+    const h = hist[id];
+    if (h?.status?.status_str === "error") throw new Error("ComfyUI reported an error while running the workflow.");
+    if (h && h.outputs && h.status?.completed !== false) entry = h;
+    else onProgress(null, Math.round((Date.now() - started) / 1000));
+  }
+
+  const files = Object.values(entry.outputs).flatMap(o => o.images || []).filter(f => f.type !== "temp");
+  const images = [];
+  for (const f of files) {
+    const q = new URLSearchParams({ filename: f.filename, subfolder: f.subfolder || "", type: f.type || "output" });
+    const res = await fetch(`${base}/view?${q}`, { signal });
+    if (!res.ok) throw new Error(`Could not load ${f.filename} (${res.status}).`);
+    images.push(await blobToDataUrl(await res.blob()));
+  }
+  return { images, seed: JSON.stringify(workflow).includes("%seed%") ? seed : null };
 }
 
-// ---------- Left interactions ----------
+// History keeps a 512px JPEG copy of each render; the generator keeps the originals
+function shrinkImage(src, max = 512) {
+  const ctx = document.createElement("canvas").getContext?.("2d");
+  if (!ctx) return Promise.resolve(src);
+  return new Promise((resolve) => {
+    const img = new Image();
+    img.onload = () => {
+      const scale = Math.min(1, max / Math.max(img.naturalWidth, img.naturalHeight));
+      ctx.canvas.width = Math.max(1, Math.round(img.naturalWidth * scale));
+      ctx.canvas.height = Math.max(1, Math.round(img.naturalHeight * scale));
+      ctx.drawImage(img, 0, 0, ctx.canvas.width, ctx.canvas.height);
+      try { resolve(ctx.canvas.toDataURL("image/jpeg", 0.85)); } catch { resolve(src); }
+    };
+    img.onerror = () => resolve(src);
+    img.src = src;
+  });
+}
 
-function toggleOption(catId, idx, checked) {
-  const cat = state.categories.find(c => c.id === catId);
-  if (!cat) return;
+function renderSendImages(images) {
+  sendImages.innerHTML = "";
+  images.forEach((src, i) => {
+    const a = document.createElement("a");
+    a.href = src;
+    a.download = `prompt_mixer_${todayKey()}_${i + 1}.png`;
+    a.title = "Download";
+    const img = document.createElement("img");
+    img.src = src;
+    img.alt = `Result ${i + 1}`;
+    a.appendChild(img);
+    sendImages.appendChild(a);
+  });
+}
 
-  applyLeftToggle(cat, idx, checked);
+// Send the summary as it is now; the snapshot is taken up front so edits made while waiting don't leak in
+async function sendToGenerator() {
+  if (sendAbort) return;
+  const g = readSendFields();
+  const cfg = g[g.kind];
+  setGenerator(g);
+  if (!cfg.url) return setSendStatus("Set the endpoint URL first.", { error: true });
+  if (!/^https?:\/\//i.test(cfg.url)) return setSendStatus("The endpoint URL must start with http:// or https://.", { error: true });
+
+  const { text, negative } = buildSummary();
+  if (!text.trim()) return setSendStatus("Nothing to send yet. Select some options first.", { error: true });
+  const texts = Object.fromEntries(state.categories.map(c => [c.id, outputsByCatId[c.id]?.text || ""]));
+  const item = makeSnapshot(joinSummary({ text, negative }), texts);
+
+  sendAbort = new AbortController();
+  const { signal } = sendAbort;
+  renderSendButtons();
+  renderSendImages([]);
+  const label = SEND_KINDS[g.kind].label;
+  setSendStatus(`Sending to ${label}…`, { progress: 0 });
+  const onProgress = (p, secs) => {
+    if (signal.aborted) return;
+    setSendStatus(p === null ? `Generating… ${secs}s` : `Generating… ${Math.round(p * 100)}%`, { progress: p });
+  };
 
-  persist();
-  renderCategories();
-  renderOutputs(); // ok to rerender after checkbox click
-  updateSummary();
+  try {
+    const send = g.kind === "comfy" ? sendComfy : sendA1111;
+    const { images, seed } = await send(cfg, text.trim(), (negative || "").trim(), signal, onProgress);
+    if (!images.length) throw new Error(`${label} answered without images.`);
+    renderSendImages(images);
+
+    item.images = await Promise.all(images.map(src => shrinkImage(src)));
+    item.note = `Sent to ${label}${seed !== null ? ` · seed ${seed}` : ""}`;
+    const hist = getHistory();
+    hist.unshift(item);
+    setHistory(hist);
+    pruneHistory();
+    setSendStatus(`Done: ${images.length} image(s), saved to history.`, { progress: 1 });
+  } catch (e) {
+    if (e.name === "AbortError") setSendStatus("Cancelled.");
+    else setSendStatus(e.message || String(e), { error: true });
+  } finally {
+    sendAbort = null;
+    renderSendButtons();
+  }
 }
 
-function toggleAll(catId) {
-  const cat = state.categories.find(c => c.id === catId);
-  if (!cat) return;
-  const total = (cat.options || []).length;
-  if (!total) return;
+function cancelSend() {
+  if (!sendAbort) return;
+  sendAbort.abort();
+  // A1111 keeps rendering after the connection drops unless told to stop
+  const g = getGenerator();
+  if (g.kind === "a1111") {
+    fetch(g.a1111.url.replace(/\/sdapi\/v1\/txt2img\/?$/, "") + "/sdapi/v1/interrupt", { method: "POST" }).catch(() => {});
+  }
+}
 
-  const selectAll = !isAllSelected(cat);
-  applyLeftAllClear(cat, selectAll);
+function renderSendButtons() {
+  const busy = !!sendAbort;
+  sendGo.disabled = busy;
+  sendCancel.disabled = !busy;
+  btnSend.textContent = busy ? "Sending…" : "Send";
+}
 
-  persist();
-  renderCategories();
-  renderOutputs();
-  updateSummary();
+// ---------- Command palette ----------
+
+const PALETTE_MAX = 60;
+let paletteItems = [];
+let paletteShown = []; // [{ item, hits }] in display order
+let paletteActive = 0;
+
+// Subsequence match (spaces ignored): { score, hits:[index] } or null.
+// Consecutive characters and word starts score higher; shorter labels win ties.
+function fuzzyMatch(query, text) {
+  const q = String(query || "").toLowerCase().replace(/\s+/g, "");
+  if (!q) return { score: 0, hits: [] };
+  const t = String(text || "").toLowerCase();
+  const hits = [];
+  let score = 0;
+  let at = 0;
+  for (const ch of q) {
+    const i = t.indexOf(ch, at);
+    if (i < 0) return null;
+    score += 1 + (i === hits[hits.length - 1] + 1 ? 3 : 0) + (i === 0 || /[\s,→(-]/.test(t[i - 1]) ? 2 : 0);
+    hits.push(i);
+    at = i + 1;
+  }
+  return { score: score - t.length / 200, hits };
 }
 
-function deleteCategory(catId) {
-  const cat = state.categories.find(c => c.id === catId);
-  if (!cat) return;
-  if (!confirm(`Delete category?\n\n${cat.name}`)) return;
+function appendFuzzy(el, text, hits) {
+  const set = new Set(hits);
+  let i = 0;
+  while (i < text.length) {
+    let j = i;
+    const on = set.has(i);
+    while (j < text.length && set.has(j) === on) j++;
+    if (on) {
+      const m = document.createElement("mark");
+      m.textContent = text.slice(i, j);
+      el.appendChild(m);
+    } else {
+      el.appendChild(document.createTextNode(text.slice(i, j)));
+    }
+    i = j;
+  }
+}
 
-  state.categories = state.categories.filter(c => c.id !== catId);
-  delete outputsByCatId[catId];
-  persist();
-  renderCategories();
-  renderOutputs();
-  updateSummary();
+// Everything the palette can do; options toggle in place (keep: palette stays open)
+function buildPaletteItems() {
+  const items = [
+    { label: "Save snapshot", kind: "Command", run: saveSnapshot },
+    { label: "Copy summary", kind: "Command", run: () => copyToClipboard(elSummary.value || "") },
+    { label: "Open history", kind: "Command", run: openHistory },
+    { label: "Toggle theme", kind: "Command", run: toggleTheme },
+    { label: "Undo", kind: "Command", run: undo },
+    { label: "Redo", kind: "Command", run: redo },
+  ];
+  getWorkspaces().list.forEach((ws) => {
+    if (ws.id !== workspaceId) items.push({ label: `Switch to workspace ${ws.name}`, kind: "Workspace", run: () => openWorkspace(ws.id) });
+  });
+  loadPresets().forEach((p) => {
+    items.push({ label: `Apply preset ${p.name}`, kind: "Preset", run: () => applyPreset(p.id, "replace") });
+    items.push({ label: `Merge preset ${p.name}`, kind: "Preset", run: () => applyPreset(p.id, "merge") });
+  });
+  state.categories.forEach((cat) => {
+    items.push({ label: `Clear category ${cat.name}`, kind: "Command", run: () => clearOutput(cat.id) });
+    items.push({ label: `${cat.muted ? "Unmute" : "Mute"} category ${cat.name}`, kind: "Command", run: () => toggleMix(cat.id, "muted") });
+    items.push({ label: `${cat.solo ? "Unsolo" : "Solo"} category ${cat.name}`, kind: "Command", run: () => toggleMix(cat.id, "solo") });
+  });
+  state.categories.forEach((cat) => {
+    (cat.options || []).forEach((opt, idx) => {
+      if (!opt) return;
+      const checked = (cat.selected || []).includes(idx);
+      const aliases = (optionMeta(cat, opt)?.aliases || []).join(" ");
+      items.push({ label: `${cat.name} → ${slotLabel(opt)}`, aliases, checked, keep: true, run: () => toggleOption(cat.id, idx, !checked) });
+    });
+  });
+  return items;
 }
 
-function randomId() { return "cat_" + Math.random().toString(16).slice(2, 10); }
-function addCategory() {
-  const name = prompt("Category name:", "New Category");
-  if (!name) return;
-  const id = randomId();
-  state.categories.unshift({ id, name: name.trim() || "New Category", options: [], selected: [] });
-  outputsByCatId[id] = { text: "", dirty: false, undo: [], lastValue: "" };
-  persist();
-  renderCategories();
-  renderOutputs();
-  updateSummary();
+function openPalette() {
+  paletteItems = buildPaletteItems();
+  paletteInput.value = "";
+  paletteActive = 0;
+  renderPalette();
+  paletteOverlay.classList.remove("hidden");
+  paletteInput.focus();
 }
+function closePalette() { paletteOverlay.classList.add("hidden"); }
 
-// ---------- Bulk modal ----------
+// An option's alias keywords also find it; nothing in the label is highlighted then
+function aliasMatch(q, aliases) {
+  const m = aliases ? fuzzyMatch(q, aliases) : null;
+  return m && { score: m.score - 1, hits: [] };
+}
 
-function openBulkModal(catId) {
-  const cat = state.categories.find(c => c.id === catId);
-  if (!cat) return;
-  modalCatId = catId;
-  modalCategoryName.value = cat.name;
-  modalLines.value = (cat.options || []).join("\n");
-  modalOverlay.classList.remove("hidden");
-  modalCategoryName.focus();
-  modalCategoryName.select();
+function renderPalette() {
+  const q = paletteInput.value;
+  paletteShown = paletteItems
+    .map((item, i) => ({ item, i, m: fuzzyMatch(q, item.label) || aliasMatch(q, item.aliases) }))
+    .filter(x => x.m)
+    .sort((a, b) => (b.m.score - a.m.score) || (a.i - b.i))
+    .slice(0, PALETTE_MAX)
+    .map(x => ({ item: x.item, hits: x.m.hits }));
+  paletteActive = Math.min(paletteActive, Math.max(0, paletteShown.length - 1));
+
+  paletteList.innerHTML = "";
+  if (!paletteShown.length) {
+    const empty = document.createElement("div");
+    empty.className = "tinyHint";
+    empty.textContent = "No matches.";
+    paletteList.appendChild(empty);
+    return;
+  }
+  paletteShown.forEach(({ item, hits }, i) => {
+    const row = document.createElement("div");
+    row.className = "paletteItem" + (i === paletteActive ? " active" : "");
+    const mark = document.createElement("span");
+    mark.className = "paletteMark";
+    mark.textContent = item.kind ? "›" : (item.checked ? "☑" : "☐");
+    const label = document.createElement("span");
+    label.className = "paletteLabel";
+    appendFuzzy(label, item.label, hits);
+    row.appendChild(mark);
+    row.appendChild(label);
+    if (item.kind) {
+      const kind = document.createElement("span");
+      kind.className = "paletteKind";
+      kind.textContent = item.kind;
+      row.appendChild(kind);
+    }
+    row.onmousemove = () => { if (paletteActive !== i) setPaletteActive(i); };
+    row.onclick = () => runPaletteItem(i);
+    paletteList.appendChild(row);
+  });
+  paletteList.children[paletteActive]?.scrollIntoView?.({ block: "nearest" });
 }
-function closeBulkModal() { modalOverlay.classList.add("hidden"); modalCatId = null; }
 
-function saveBulkModal() {
-  const cat = state.categories.find(c => c.id === modalCatId);
-  if (!cat) return;
-  cat.name = modalCategoryName.value.trim() || cat.name;
-  const lines = modalLines.value.split(/\r?\n/).map(s => s.trim()).filter(Boolean);
-  cat.options = lines;
+// Move the highlight without rebuilding the list
+function setPaletteActive(i) {
+  paletteList.children[paletteActive]?.classList.remove("active");
+  paletteActive = i;
+  paletteList.children[paletteActive]?.classList.add("active");
+}
 
-  // After options list changes, any existing right text token that no longer matches options
-  // becomes custom automatically; and selection must be reconciled from current right text.
-  ensureOutputEntry(cat);
-  const out = outputsByCatId[cat.id];
-  reconcileSelectionFromText(cat, out.text || "");
+function runPaletteItem(i) {
+  const entry = paletteShown[i];
+  if (!entry) return;
+  if (entry.item.keep) {
+    entry.item.run();
+    paletteItems = buildPaletteItems(); // checked state changed (rules may have touched others too)
+    renderPalette();
+    paletteInput.focus();
+    paletteInput.select();
+    return;
+  }
+  closePalette();
+  entry.item.run();
+}
 
-  persist();
-  renderCategories();
-  renderOutputs();
-  updateSummary();
-  closeBulkModal();
+function onPaletteInputKey(e) {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+    e.preventDefault();
+    const n = paletteShown.length;
+    if (!n) return;
+    setPaletteActive((paletteActive + (e.key === "ArrowDown" ? 1 : n - 1)) % n);
+    paletteList.children[paletteActive]?.scrollIntoView?.({ block: "nearest" });
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    runPaletteItem(paletteActive);
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    closePalette();
+  }
 }
 
-function deleteFromModal() { const id = modalCatId; closeBulkModal(); deleteCategory(id); }
+// Ctrl+K / Cmd+K from anywhere (also toggles it closed); not on top of another dialog
+function onPaletteKey(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey || e.key.toLowerCase() !== "k") return;
+  if (document.querySelector(".modalOverlay:not(.hidden):not(#paletteOverlay)")) return;
+  e.preventDefault();
+  if (paletteOverlay.classList.contains("hidden")) openPalette();
+  else closePalette();
+}
 
-// ---------- Output actions ----------
+// ---------- Schema migrations ----------
 
-function clearOutput(catId) {
-  const cat = state.categories.find(c => c.id === catId);
-  const out = outputsByCatId[catId];
-  if (!cat || !out) return;
+/**
+ * Stored state carries `schema` (missing = 1). loadWorkspace() upgrades older blobs one step at a time,
+ * after copying the untouched originals to pm_backup_schema<N> (per workspace).
+ *   1 → 2  output entries { text, dirty, undo:[], lastValue } (or bare strings) become { text }
+ *   2 → 3  selections stored in cat.selected (indexes, or option strings) are written into the output text,
+ *          which is the source of truth; `selected` is no longer stored (it is derived on load)
+ *   3 → 4  options of negative categories not phrased "No …" get meta.positive, since every other token
+ *          of such a category now goes to the negative slot
+ *   4 → 5  categories and outputs move from the pm_state_v3 / pm_outputs_v3 blobs to one key each
+ *          (pm_cat_v1_<id>, pm_out_v1_<id>); older versions of the app can't read that layout
+ */
+const SCHEMA_VERSION = 5;
+const STORAGE_KEY_BACKUP = "pm_backup_schema";
+
+const MIGRATIONS = [
+  {
+    to: 2,
+    label: "output entries",
+    run({ state, outputs }) {
+      const next = {};
+      Object.entries(outputs || {}).forEach(([id, out]) => {
+        if (typeof out === "string") next[id] = { text: out };
+        else if (out && typeof out === "object") next[id] = { text: typeof out.text === "string" ? out.text : "" };
+      });
+      return { state, outputs: next };
+    },
+  },
+  {
+    to: 3,
+    label: "stored selections",
+    run({ state, outputs }) {
+      state.categories.forEach((cat) => {
+        const picked = (Array.isArray(cat.selected) ? cat.selected : [])
+          .map(x => (typeof x === "number" ? (cat.options || [])[x] : x))
+          .filter(o => typeof o === "string" && (cat.options || []).includes(o));
+        let text = outputs[cat.id]?.text || "";
+        picked.forEach((o) => { if (!hasOptionToken(text, o, DEFAULT_SEP, cat.options)) text = addOptionToken(text, o, DEFAULT_SEP, cat.options); });
+        if (picked.length) outputs[cat.id] = { text };
+        delete cat.selected;
+      });
+      return { state, outputs };
+    },
+  },
+  {
+    to: 4,
+    label: "positive quality lines",
+    run({ state, outputs }) {
+      state.categories.filter(c => c.role === "negative" || (c.role === undefined && c.id === "negative")).forEach((cat) => {
+        (cat.options || []).forEach((o) => {
+          if (typeof o !== "string" || NEGATION_RE.test(o)) return;
+          cat.meta = { ...(cat.meta || {}), [o]: { ...((cat.meta || {})[o] || {}), positive: true } };
+        });
+      });
+      return { state, outputs };
+    },
+  },
+  {
+    to: 5,
+    label: "per-category records",
+    run: data => data, // layout only: saveState/saveOutputs write the new keys
+  },
+];
+
+function schemaOf(stored) { return Number.isInteger(stored && stored.schema) ? stored.schema : 1; }
+
+// Returns { state, outputs } at SCHEMA_VERSION (saved back), or throws with the failing step in the message
+function upgradeStored(stored, outputs) {
+  if (!stored || !Array.isArray(stored.categories)) throw new Error("The saved library is damaged (no category list).");
+  const from = schemaOf(stored);
+  if (from === SCHEMA_VERSION) return { state: stored, outputs };
+  if (from > SCHEMA_VERSION) {
+    throw new Error(`Saved data uses schema v${from}, but this version of Prompt Mixer only reads up to v${SCHEMA_VERSION}. Update the app (or clear the cache) and reload.`);
+  }
 
-  pushUndo(catId, out.text || "");
+  storeSet(wsKey(`${STORAGE_KEY_BACKUP}${from}`), JSON.stringify({
+    backedUpAt: new Date().toISOString(), schema: from, state: stored, outputs,
+  }));
+
+  let data = JSON.parse(JSON.stringify({ state: stored, outputs: outputs || {} }));
+  MIGRATIONS.filter(m => m.to > from).forEach((m) => {
+    try {
+      data = m.run(data);
+      data.state.schema = m.to;
+    } catch (e) {
+      throw new Error(`Upgrading saved data from schema v${m.to - 1} to v${m.to} (${m.label}) failed: ${e.message || e}`);
+    }
+  });
+  saveState(data.state);
+  saveOutputs(data.outputs);
+  return data;
+}
 
-  out.text = "";
-  out.lastValue = "";
-  out.dirty = true;
+// Loading failed before anything was overwritten. OK = download the backup and start from defaults.
+function recoverFromFailedUpgrade(err) {
+  const name = (getWorkspaces().list.find(w => w.id === workspaceId) || {}).name || workspaceId;
+  const backupKey = wsKey(`${STORAGE_KEY_BACKUP}${schemaOf(loadState())}`);
+  if (storeGet(backupKey) === null) {
+    // unreadable blob: keep the raw strings
+    storeSet(backupKey, JSON.stringify({
+      backedUpAt: new Date().toISOString(),
+      rawState: storeGet(wsKey(STORAGE_KEY_STATE)),
+      rawOutputs: storeGet(wsKey(STORAGE_KEY_OUTPUTS)),
+    }));
+  }
+  const ok = confirm(`Could not load workspace “${name}”.\n\n${err.message}\n\n`
+    + `Your original data is untouched and was also copied to “${backupKey}” in this browser.\n\n`
+    + "OK: download that backup and start this workspace from defaults.json.\nCancel: stop here (reload to try again).");
+  if (!ok) throw err;
+  downloadText(`prompt_mixer_backup_${todayKey()}.json`, storeGet(backupKey), "application/json;charset=utf-8");
+}
 
-  // Clear means: also uncheck all (since right is source)
-  reconcileSelectionFromText(cat, "");
+// ---------- Workspaces ----------
 
-  persist();
-  renderCategories();
-  renderOutputs();
-  updateSummary();
+function renderWorkspaceSwitcher() {
+  const { list } = getWorkspaces();
+  workspaceSelect.innerHTML = "";
+  list.forEach((w) => {
+    const o = document.createElement("option");
+    o.value = w.id;
+    o.textContent = w.name;
+    workspaceSelect.appendChild(o);
+  });
+  workspaceSelect.value = workspaceId;
 }
 
-function undoOutput(catId) {
-  const cat = state.categories.find(c => c.id === catId);
-  const out = outputsByCatId[catId];
-  if (!cat || !out) return;
-
-  out.undo = out.undo || [];
-  if (!out.undo.length) return;
+// Read the active workspace into the editor; one that was never saved starts from defaults.json
+async function loadWorkspace() {
+  let stored = loadState();
+  let outputs = loadOutputs();
+  if (storeGet(wsKey(STORAGE_KEY_STATE)) !== null) {
+    try {
+      ({ state: stored, outputs } = upgradeStored(stored, outputs));
+    } catch (e) {
+      recoverFromFailedUpgrade(e);
+      stored = null;
+      outputs = {};
+    }
+  }
+  if (stored && stored.categories) state = stored;
+  else {
+    state = stateFromDefaults(await loadDefaults());
+    saveState(state);
+  }
+  outputsByCatId = outputs;
 
-  const prev = out.undo.pop();
-  out.text = prev ?? "";
-  out.lastValue = out.text;
-  out.dirty = true;
+  normalizeState();
+  saveState(state);
+  saveOutputs(outputsByCatId);
+  resetUndoHistory();
+}
 
-  // Undo must update left selections
-  reconcileSelectionFromText(cat, out.text);
+async function switchWorkspace(id) {
+  if (id === workspaceId || !getWorkspaces().list.some(w => w.id === id)) return renderWorkspaceSwitcher();
+  const prev = { id: workspaceId, active: getWorkspaces().active };
+  setWorkspaces({ ...getWorkspaces(), active: id });
+  workspaceId = id;
+  try {
+    await loadWorkspace();
+  } catch (e) {
+    // state/outputs still hold the previous workspace: put it back before anything persists
+    workspaceId = prev.id;
+    setWorkspaces({ ...getWorkspaces(), active: prev.active });
+    renderWorkspaceSwitcher();
+    throw e;
+  }
+  pruneHistory();
 
-  persist();
   renderCategories();
   renderOutputs();
   updateSummary();
+  renderPresets();
+  renderWorkspaceSwitcher();
+  if (!workspaceOverlay.classList.contains("hidden")) renderWorkspaceList();
 }
 
-// ---------- Save snapshot ----------
-
-function saveSnapshot() {
-  const summary = (elSummary.value || "").trim();
-  if (!summary) return alert("Nothing to save yet. Select some options first.");
-
-  const item = { id: "h_" + Math.random().toString(16).slice(2, 10), time: nowTime(), text: summary };
-  const hist = getHistory();
-  hist.unshift(item);
-  setHistory(hist);
+// For click handlers: a failed switch (cancelled upgrade, defaults.json unreachable) leaves this tab where it was
+function openWorkspace(id) {
+  return switchWorkspace(id).catch(e => showToast(`Could not open the workspace: ${e.message || e}`));
+}
 
-  btnSave.textContent = "Saved ✓";
-  setTimeout(() => (btnSave.textContent = "Save"), 900);
+// parts: { outputs, history } — the library (state + presets) is always copied.
+// Keys are copied as stored, so a workspace that still awaits a schema upgrade is upgraded when opened.
+function copyWorkspaceData(from, to, parts = {}) {
+  const bases = [STORAGE_KEY_STATE, STORAGE_KEY_PRESETS, ...(parts.outputs ? [STORAGE_KEY_OUTPUTS] : [])];
+  bases.forEach((base) => {
+    const v = storeGet(wsKey(base, from));
+    if (v !== null) storeSet(wsKey(base, to), v);
+  });
+  Object.entries(recordKeys("cat", from)).forEach(([id, k]) => storeSet(catKey(id, to), storeGet(k)));
+  if (parts.outputs) Object.entries(recordKeys("out", from)).forEach(([id, k]) => storeSet(outKey(id, to), storeGet(k)));
+  if (parts.history) listHistoryDays(from).forEach((d) => storeSet(historyKey(d, to), storeGet(historyKey(d, from))));
 }
 
-// ---------- History modal ----------
+function removeWorkspaceData(ws) {
+  [STORAGE_KEY_STATE, STORAGE_KEY_OUTPUTS, STORAGE_KEY_PRESETS].forEach(base => storeRemove(wsKey(base, ws)));
+  ["cat", "out"].forEach(family => Object.values(recordKeys(family, ws)).forEach(k => storeRemove(k)));
+  for (let v = 1; v < SCHEMA_VERSION; v++) storeRemove(wsKey(`${STORAGE_KEY_BACKUP}${v}`, ws));
+  listHistoryDays(ws).forEach(d => storeRemove(historyKey(d, ws)));
+}
 
-function openHistory() {
-  historyDateHint.textContent = `Local date: ${todayKey()} • items: ${getHistory().length}`;
-  renderHistoryList();
-  historyOverlay.classList.remove("hidden");
+function newWorkspaceId() { return "ws_" + Math.random().toString(16).slice(2, 10); }
+
+// New workspace from defaults.json or from another workspace's library (its outputs/history stay behind)
+async function createWorkspace() {
+  const seed = workspaceSeed.value;
+  const name = prompt("Workspace name:", "New workspace");
+  if (!name || !name.trim()) return;
+  const id = newWorkspaceId();
+  if (seed === "defaults") saveState(stateFromDefaults(await loadDefaults()), id);
+  else copyWorkspaceData(seed, id);
+
+  const w = getWorkspaces();
+  w.list.push({ id, name: name.trim() });
+  setWorkspaces(w);
+  await switchWorkspace(id);
 }
-function closeHistory() { historyOverlay.classList.add("hidden"); }
 
-function renderHistoryList() {
-  const hist = getHistory();
-  historyList.innerHTML = "";
-  if (!hist.length) {
-    const empty = document.createElement("div");
-    empty.className = "tinyHint";
-    empty.textContent = "No history yet. Click Save to store today’s snapshots.";
-    historyList.appendChild(empty);
-    return;
-  }
+// Full copy: library, outputs, presets and history
+function duplicateWorkspace(id) {
+  const w = getWorkspaces();
+  const src = w.list.find(x => x.id === id);
+  if (!src) return;
+  const name = prompt("Name for the copy:", `${src.name} copy`);
+  if (!name || !name.trim()) return;
+  const copy = { id: newWorkspaceId(), name: name.trim() };
+  copyWorkspaceData(id, copy.id, { outputs: true, history: true });
+  w.list.splice(w.list.indexOf(src) + 1, 0, copy);
+  setWorkspaces(w);
+  renderWorkspaceSwitcher();
+  renderWorkspaceList();
+}
 
-  hist.forEach((h) => {
-    const item = document.createElement("div");
-    item.className = "historyItem";
+function renameWorkspace(id) {
+  const w = getWorkspaces();
+  const ws = w.list.find(x => x.id === id);
+  if (!ws) return;
+  const name = prompt("Rename workspace:", ws.name);
+  if (!name || !name.trim()) return;
+  ws.name = name.trim();
+  setWorkspaces(w);
+  renderWorkspaceSwitcher();
+  renderWorkspaceList();
+}
 
-    const top = document.createElement("div");
-    top.className = "historyItemTop";
+async function deleteWorkspace(id) {
+  const { list } = getWorkspaces();
+  const ws = list.find(x => x.id === id);
+  if (!ws) return;
+  if (list.length < 2) return alert("This is the only workspace. Create another one first.");
+  if (!confirm(`Delete workspace?\n\n${ws.name}\n\nIts categories, outputs, presets and history are removed.`)) return;
+
+  if (id === workspaceId) await switchWorkspace(list.find(x => x.id !== id).id);
+  const w = getWorkspaces();
+  w.list = w.list.filter(x => x.id !== id);
+  setWorkspaces(w);
+  removeWorkspaceData(id);
+  renderWorkspaceSwitcher();
+  renderWorkspaceList();
+}
 
-    const left = document.createElement("div");
-    const time = document.createElement("div");
-    time.className = "historyTime";
-    time.textContent = h.time;
-    left.appendChild(time);
+function openWorkspaces() {
+  renderWorkspaceList();
+  workspaceOverlay.classList.remove("hidden");
+}
+function closeWorkspaces() { workspaceOverlay.classList.add("hidden"); }
 
-    const right = document.createElement("div");
-    right.style.display = "flex";
-    right.style.gap = "10px";
-    right.style.alignItems = "center";
-    right.style.flexWrap = "wrap";
-    right.style.justifyContent = "flex-end";
+function renderWorkspaceList() {
+  const { list } = getWorkspaces();
+  workspaceList.innerHTML = "";
+  list.forEach((ws) => {
+    const row = document.createElement("div");
+    row.className = "workspaceRow";
 
-    const bCopy = document.createElement("button");
-    bCopy.className = "btn";
-    bCopy.textContent = "Copy";
-    bCopy.onclick = () => copyToClipboard(h.text);
+    const name = document.createElement("div");
+    name.className = "workspaceName";
+    name.textContent = ws.name;
+    if (ws.id === workspaceId) {
+      const cur = document.createElement("span");
+      cur.className = "tinyHint";
+      cur.textContent = " (current)";
+      name.appendChild(cur);
+    }
 
-    const bDel = document.createElement("button");
-    bDel.className = "btn btnGhost";
-    bDel.textContent = "Delete";
-    bDel.onclick = () => {
-      if (!confirm("Delete this history item?")) return;
-      setHistory(getHistory().filter(x => x.id !== h.id));
-      renderHistoryList();
-      historyDateHint.textContent = `Local date: ${todayKey()} • items: ${getHistory().length}`;
+    const actions = document.createElement("div");
+    actions.className = "historyActions";
+    const btn = (label, onClick, cls = "btn btnGhost") => {
+      const b = document.createElement("button");
+      b.className = cls;
+      b.textContent = label;
+      b.onclick = onClick;
+      actions.appendChild(b);
+      return b;
     };
-
-    right.appendChild(bCopy);
-    right.appendChild(bDel);
-
-    top.appendChild(left);
-    top.appendChild(right);
-
-    const preview = document.createElement("div");
-    preview.className = "historyPreview";
-    preview.textContent = h.text.length > 1200 ? (h.text.slice(0, 1200) + "…") : h.text;
-
-    item.appendChild(top);
-    item.appendChild(preview);
-    historyList.appendChild(item);
+    btn("Open", () => openWorkspace(ws.id), "btn").disabled = ws.id === workspaceId;
+    btn("Rename", () => renameWorkspace(ws.id));
+    btn("Duplicate", () => duplicateWorkspace(ws.id));
+    btn("Delete", () => deleteWorkspace(ws.id).catch(e => showToast(`Could not delete the workspace: ${e.message || e}`))).disabled = list.length < 2;
+
+    row.appendChild(name);
+    row.appendChild(actions);
+    workspaceList.appendChild(row);
   });
-}
 
-function downloadHistoryTxt() {
-  const hist = getHistory();
-  if (!hist.length) return alert("No history to download today.");
-  const lines = [];
-  lines.push(`${todayKey()} — Prompt Mixer history`);
-  lines.push("");
-  hist.slice().reverse().forEach((h) => {
-    lines.push(`--- ${h.time} ---`);
-    lines.push(h.text);
-    lines.push("");
+  workspaceSeed.innerHTML = "";
+  [{ id: "defaults", name: "defaults.json" }, ...list].forEach((ws) => {
+    const o = document.createElement("option");
+    o.value = ws.id;
+    o.textContent = ws.id === "defaults" ? "Start from defaults.json" : `Copy library of “${ws.name}”`;
+    workspaceSeed.appendChild(o);
   });
-  downloadText(`prompt_mixer_history_${todayKey()}.txt`, lines.join("\n"));
-}
-
-function clearHistory() {
-  if (!confirm("Clear today’s history?")) return;
-  setHistory([]);
-  renderHistoryList();
-  historyDateHint.textContent = `Local date: ${todayKey()} • items: 0`;
 }
 
 // ---------- Reset defaults ----------
 
 async function resetDefaults() {
   if (!confirm("Reset categories & options to defaults?\n(History is not deleted.)")) return;
-  const defaults = await loadDefaults();
-  state = {
-    version: defaults.version || 1,
-    categories: defaults.categories.map(c => ({ id: c.id, name: c.name, options: c.options.slice(), selected: [] }))
-  };
+  state = stateFromDefaults(await loadDefaults());
   outputsByCatId = {};
-  persist();
+  normalizeState();
+  persist("Reset to defaults");
   renderCategories();
   renderOutputs();
   updateSummary();
@@ -753,67 +4734,124 @@ function setupDragbar() {
 // ---------- Init ----------
 
 async function init() {
+  await openStore();
+  workspaceId = getWorkspaces().active;
+  // background writes: don't lose the last debounce window when the tab goes away
+  window.addEventListener("pagehide", flushStore);
+  document.addEventListener("visibilitychange", () => { if (document.visibilityState === "hidden") flushStore(); });
+
   setTheme(getTheme());
 
-  const saved = Number(localStorage.getItem(STORAGE_KEY_SPLIT));
+  const saved = Number(storeGet(STORAGE_KEY_SPLIT));
   setSplitBasis(Number.isFinite(saved) ? saved : 40);
 
-  clearOldHistory();
-
-  const stored = loadState();
-  if (stored && stored.categories) state = stored;
-  else {
-    const defaults = await loadDefaults();
-    state = {
-      version: defaults.version || 1,
-      categories: defaults.categories.map(c => ({ id: c.id, name: c.name, options: c.options.slice(), selected: [] }))
-    };
-    saveState(state);
-  }
-
-  // normalize state
-  state.categories.forEach(c => {
-    c.options = c.options || [];
-    c.selected = c.selected || [];
-  });
-
-  // If there is existing output text in storage, reconcile left selections from it (source-of-truth)
-  for (const cat of state.categories) {
-    ensureOutputEntry(cat);
-    const out = outputsByCatId[cat.id];
-    if (out && typeof out.text === "string" && out.text.length) {
-      reconcileSelectionFromText(cat, out.text);
-    }
-  }
-  persist();
+  pruneHistory();
+  await loadWorkspace();
+  renderWorkspaceSwitcher();
 
+  const prefs = getUiPrefs();
+  optSelectedOnly.checked = prefs.selectedOnly;
+  optFavoritesFirst.checked = prefs.favoritesFirst;
   renderCategories();
   renderOutputs();
-  updateSummary();
 
   // events
   btnAddCategory.onclick = addCategory;
+  btnUndoGlobal.onclick = undo;
+  btnRedoGlobal.onclick = redo;
+  document.addEventListener("keydown", onUndoKey);
+  document.addEventListener("keydown", onPaletteKey);
+  optionSearch.addEventListener("input", renderCategories);
+  optSelectedOnly.onchange = () => { setUiPrefs({ selectedOnly: optSelectedOnly.checked }); renderCategories(); };
+  optFavoritesFirst.onchange = () => { setUiPrefs({ favoritesFirst: optFavoritesFirst.checked }); renderCategories(); };
+  btnPresets.onclick = togglePresetsPanel;
+  document.getElementById("btnShuffle").onclick = openShuffle;
   btnResetDefaults.onclick = () => resetDefaults().catch(e => alert(e.message));
   btnHistory.onclick = openHistory;
   btnTheme.onclick = toggleTheme;
-
+  workspaceSelect.onchange = () => openWorkspace(workspaceSelect.value);
+  document.getElementById("btnWorkspaces").onclick = openWorkspaces;
+  document.getElementById("workspaceClose").onclick = closeWorkspaces;
+  document.getElementById("workspaceOk").onclick = closeWorkspaces;
+  document.getElementById("workspaceNew").onclick = () => createWorkspace().catch(e => alert(e.message));
+  workspaceOverlay.addEventListener("click", (e) => { if (e.target === workspaceOverlay) closeWorkspaces(); });
+  document.getElementById("btnPalette").onclick = openPalette;
+  paletteInput.addEventListener("input", () => { paletteActive = 0; renderPalette(); });
+  paletteInput.addEventListener("keydown", onPaletteInputKey);
+  paletteOverlay.addEventListener("click", (e) => { if (e.target === paletteOverlay) closePalette(); });
+
+  document.getElementById("btnShare").onclick = () => shareLink().catch(e => alert("Could not create the link: " + (e.message || e)));
   btnCopySummary.onclick = () => copyToClipboard(elSummary.value || "");
+  btnSend.onclick = openSend;
+  sendGo.onclick = sendToGenerator;
+  sendCancel.onclick = cancelSend;
+  sendClose.onclick = closeSend;
+  sendDone.onclick = closeSend;
+  sendKind.onchange = onSendKindChange;
+  sendOverlay.addEventListener("click", (e) => { if (e.target === sendOverlay) closeSend(); });
+  document.getElementById("btnCopyNegative").onclick = () => copyToClipboard(elSummaryNegative.value || "");
+  targetSelect.innerHTML = Object.entries(TARGETS).map(([id, t]) => `<option value="${id}">${t.label}</option>`).join("");
+  modalSeparator.innerHTML = Object.entries(SEPARATORS).map(([id, sp]) => `<option value="${id}">${sp.label}</option>`).join("");
+  renderTargetControls();
+  targetSelect.onchange = onTargetChange;
+  [mjAr, mjStyle, mjExtra].forEach(el => el.addEventListener("change", onTargetChange));
+  budgetLimit.addEventListener("change", onLimitChange);
   btnSave.onclick = saveSnapshot;
 
   // modals
   modalClose.onclick = closeBulkModal;
   modalCancel.onclick = closeBulkModal;
   modalSave.onclick = saveBulkModal;
+  document.getElementById("modalAttachImage").onclick = attachOptionImage;
   modalDeleteCategory.onclick = deleteFromModal;
   modalOverlay.addEventListener("click", (e) => { if (e.target === modalOverlay) closeBulkModal(); });
 
+  document.getElementById("shuffleClose").onclick = closeShuffle;
+  document.getElementById("shuffleRun").onclick = () => { shuffleAll(); closeShuffle(); };
+  document.getElementById("shuffleGenerate").onclick = () => generateVariations(shuffleCount.value);
+  shuffleOverlay.addEventListener("click", (e) => { if (e.target === shuffleOverlay) closeShuffle(); });
+
+  document.getElementById("btnRules").onclick = openRules;
+  document.getElementById("rulesClose").onclick = closeRules;
+  document.getElementById("rulesOk").onclick = closeRules;
+  document.getElementById("ruleAdd").onclick = addRule;
+  ruleModeSelect.onchange = () => { state.ruleMode = ruleModeSelect.value; persist("Rule mode"); };
+  rulesOverlay.addEventListener("click", (e) => { if (e.target === rulesOverlay) closeRules(); });
+
   historyClose.onclick = closeHistory;
   historyOk.onclick = closeHistory;
   historyOverlay.addEventListener("click", (e) => { if (e.target === historyOverlay) closeHistory(); });
   btnDownloadHistory.onclick = downloadHistoryTxt;
   btnClearHistory.onclick = clearHistory;
+  historyDaySelect.onchange = () => { historyDay = historyDaySelect.value; renderHistoryList(); };
+  historySearch.addEventListener("input", renderHistoryList);
+  historyStarred.onchange = renderHistoryList;
+  retentionDays.onchange = saveRetention;
+  retentionKB.onchange = saveRetention;
+  btnCompareHistory.onclick = openCompare;
+  document.getElementById("compareClose").onclick = closeCompare;
+  document.getElementById("compareOk").onclick = closeCompare;
+  compareOverlay.addEventListener("click", (e) => { if (e.target === compareOverlay) closeCompare(); });
+
+  btnExport.onclick = exportLibrary;
+  btnImport.onclick = pickImportFile;
+  document.getElementById("importClose").onclick = closeImport;
+  document.getElementById("importCancel").onclick = closeImport;
+  importApply.onclick = applyImport;
+  document.querySelectorAll('input[name="importMode"], #importLibrary').forEach(el => { el.onchange = renderImportDiff; });
+  importOverlay.addEventListener("click", (e) => { if (e.target === importOverlay) closeImport(); });
+
+  shareClose.onclick = closeShare;
+  shareCancel.onclick = closeShare;
+  shareApply.onclick = applyShare;
 
+  updateSummary();
   setupDragbar();
+  startSync();
+
+  // a shared link (#s=…) is offered once the editor is up
+  window.addEventListener("hashchange", checkShareHash);
+  await checkShareHash();
 }
 
 window.addEventListener("DOMContentLoaded", () => init().catch((e) => {
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+// Stand-in for a local image generator, for trying the Send button without a GPU.
+// Speaks just enough of both APIs:
+//   A1111:   POST /sdapi/v1/txt2img, GET /sdapi/v1/progress, POST /sdapi/v1/interrupt
+//   ComfyUI: POST /prompt, GET /history/<id>, GET /view?filename=…
+// Each "render" is a flat-colour PNG picked from the prompt text, delivered after a short delay.
+// A prompt containing "[fail]" gets a 500 error instead.
+//
+// Usage: node tools/mock-generator.js [port]   (default 7860; no dependencies)
+
+const http = require("http");
+const zlib = require("zlib");
+
+const PORT = Number(process.argv[2]) || 7860;
+const RENDER_MS = 2500;
+
+// ---------- PNG ----------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+function chunk(type, data) {
+  const len = Buffer.alloc(4);
+  len.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([len, body, crc]);
+}
+
+// size×size RGB image: a colour from the prompt, with a darker diagonal band
+function renderPng(prompt, size = 256) {
+  let h = 0;
+  for (const ch of String(prompt)) h = (h * 31 + ch.charCodeAt(0)) >>> 0;
+  const rgb = [h & 0xff, (h >> 8) & 0xff, (h >> 16) & 0xff];
+  const rows = [];
+  for (let y = 0; y < size; y++) {
+    const row = Buffer.alloc(1 + size * 3); // filter byte 0 = none
+    for (let x = 0; x < size; x++) {
+      const dim = Math.abs(x - y) < size / 8 ? 0.6 : 1;
+      rgb.forEach((v, i) => { row[1 + x * 3 + i] = Math.round(v * dim); });
+    }
+    rows.push(row);
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(size, 0);
+  ihdr.writeUInt32BE(size, 4);
+  ihdr[8] = 8; // bit depth
+  ihdr[9] = 2; // colour type: RGB
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", ihdr),
+    chunk("IDAT", zlib.deflateSync(Buffer.concat(rows))),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// ---------- Server ----------
+
+let job = null; // A1111 render in progress: { started, timer, res }
+const comfyJobs = new Map(); // prompt_id -> { started, prompt, seed }
+
+function send(res, status, body, type = "application/json") {
+  res.writeHead(status, {
+    "Content-Type": type,
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  });
+  res.end(type === "application/json" ? JSON.stringify(body) : body);
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let data = "";
+    req.on("data", (c) => { data += c; });
+    req.on("end", () => { try { resolve(JSON.parse(data || "{}")); } catch { resolve(null); } });
+  });
+}
+
+// First string found under a CLIPTextEncode-ish "text" input, for the ComfyUI colour
+function workflowText(workflow) {
+  const node = Object.values(workflow || {}).find(n => n && n.inputs && typeof n.inputs.text === "string");
+  return node ? node.inputs.text : "";
+}
+
+async function a1111Txt2img(req, res) {
+  const body = await readJson(req);
+  if (!body || typeof body.prompt !== "string") return send(res, 422, { error: "prompt is required" });
+  if (body.prompt.includes("[fail]")) return send(res, 500, { error: "Mock failure requested by the prompt" });
+  if (job) return send(res, 409, { error: "Already rendering" });
+  const seed = Number.isInteger(body.seed) && body.seed >= 0 ? body.seed : Math.floor(Math.random() * 2 ** 32);
+  const count = Math.max(1, Math.min(4, Number(body.batch_size) || 1));
+  console.log(`A1111 txt2img (${count}): ${body.prompt.slice(0, 80)}${body.negative_prompt ? ` | negative: ${body.negative_prompt.slice(0, 40)}` : ""}`);
+  job = {
+    started: Date.now(),
+    res,
+    timer: setTimeout(() => {
+      job = null;
+      const images = Array.from({ length: count }, (_, i) => renderPng(`${body.prompt}#${seed + i}`).toString("base64"));
+      send(res, 200, { images, parameters: body, info: JSON.stringify({ seed, prompt: body.prompt }) });
+    }, RENDER_MS),
+  };
+}
+
+function a1111Progress(res) {
+  const progress = job ? Math.min(0.99, (Date.now() - job.started) / RENDER_MS) : 0;
+  send(res, 200, { progress, eta_relative: job ? (RENDER_MS - (Date.now() - job.started)) / 1000 : 0, state: {} });
+}
+
+function a1111Interrupt(res) {
+  if (job) {
+    clearTimeout(job.timer);
+    send(job.res, 500, { error: "Interrupted" });
+    job = null;
+    console.log("A1111 interrupted");
+  }
+  send(res, 200, {});
+}
+
+async function comfyPrompt(req, res) {
+  const body = await readJson(req);
+  if (!body || !body.prompt || typeof body.prompt !== "object") return send(res, 400, { error: { message: "prompt (workflow) is required" } });
+  const text = workflowText(body.prompt);
+  if (text.includes("[fail]")) return send(res, 500, { error: { message: "Mock failure requested by the prompt" } });
+  const id = Math.random().toString(16).slice(2, 10);
+  comfyJobs.set(id, { started: Date.now(), prompt: text });
+  console.log(`ComfyUI prompt ${id}: ${text.slice(0, 80)}`);
+  send(res, 200, { prompt_id: id, number: comfyJobs.size, node_errors: {} });
+}
+
+function comfyHistory(res, id) {
+  const j = comfyJobs.get(id);
+  if (!j || Date.now() - j.started < RENDER_MS) return send(res, 200, {});
+  send(res, 200, {
+    [id]: {
+      outputs: { 9: { images: [{ filename: `${id}.png`, subfolder: "", type: "output" }] } },
+      status: { status_str: "success", completed: true },
+    },
+  });
+}
+
+function comfyView(res, filename) {
+  const j = comfyJobs.get(String(filename || "").replace(/\.png$/, ""));
+  if (!j) return send(res, 404, { error: "No such file" });
+  send(res, 200, renderPng(j.prompt), "image/png");
+}
+
+http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const route = `${req.method} ${url.pathname}`;
+  if (req.method === "OPTIONS") return send(res, 204, "", "text/plain");
+  if (route === "POST /sdapi/v1/txt2img") return a1111Txt2img(req, res);
+  if (route === "GET /sdapi/v1/progress") return a1111Progress(res);
+  if (route === "POST /sdapi/v1/interrupt") return a1111Interrupt(res);
+  if (route === "POST /prompt") return comfyPrompt(req, res);
+  if (req.method === "GET" && url.pathname.startsWith("/history/")) return comfyHistory(res, decodeURIComponent(url.pathname.slice(9)));
+  if (route === "GET /view") return comfyView(res, url.searchParams.get("filename"));
+  send(res, 404, { error: `Unknown route ${route}` });
+}).listen(PORT, () => {
+  console.log(`Mock generator on http://127.0.0.1:${PORT}`);
+  console.log(`  A1111:   http://127.0.0.1:${PORT}/sdapi/v1/txt2img`);
+  console.log(`  ComfyUI: http://127.0.0.1:${PORT}/prompt`);
+});